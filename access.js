@@ -0,0 +1,31 @@
+const { pool } = require('./db');
+
+// Work out what a user may do with a note: 'owner', 'edit', 'read', or null for no access.
+// Public notes are readable by everyone; otherwise access comes from a note_shares grant.
+async function getNoteAccess(noteId, userId) {
+  const result = await pool.query(
+    `SELECT n.id, n.user_id, n.title, n.content, n.is_public, n.version, n.comments_enabled, s.permission AS share_permission
+     FROM notes n
+     LEFT JOIN note_shares s ON s.note_id = n.id AND s.user_id = $2
+     WHERE n.id = $1 AND n.deleted_at IS NULL`,
+    [noteId, userId]
+  );
+
+  if (result.rows.length === 0) return null;
+
+  const note = result.rows[0];
+  let permission = null;
+  if (note.user_id === userId) {
+    permission = 'owner';
+  } else if (note.share_permission) {
+    permission = note.share_permission;
+  } else if (note.is_public) {
+    permission = 'read';
+  }
+
+  return permission ? { note, permission } : null;
+}
+
+module.exports = {
+  getNoteAccess
+};
@@ -0,0 +1,142 @@
+const crypto = require('crypto');
+const { pool } = require('./db');
+
+// Authentication shared by the API routers: browser sessions, or personal access
+// tokens sent as "Authorization: Bearer <token>"
+
+const TOKEN_PREFIX = 'vn_';
+const TOKEN_SCOPES = ['notes:read', 'notes:write', 'profile:read', 'profile:write'];
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Generate a new token; only its hash is stored
+function generateToken() {
+  return TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+}
+
+// Tokens are 256 random bits, so a fast unsalted hash is enough and lets us look them up directly
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Resolve a bearer token into the user it belongs to. Must run before the session
+// middleware: a valid token gets a request-only session object, which express-session
+// leaves alone, so token requests never create or touch a cookie session.
+async function authenticateBearerToken(req, res, next) {
+  const header = req.get('Authorization');
+  if (!header) {
+    return next();
+  }
+
+  const match = /^Bearer\s+(\S+)$/i.exec(header);
+  if (!match) {
+    return res.status(401).json({ error: 'Authorization header must be "Bearer <token>"' });
+  }
+
+  try {
+    const result = await pool.query(
+      `SELECT t.id, t.user_id, t.scopes, u.username
+       FROM api_tokens t
+       JOIN users u ON u.id = t.user_id
+       WHERE t.token_hash = $1 AND t.expires_at > CURRENT_TIMESTAMP`,
+      [hashToken(match[1])]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(401).json({ error: 'Invalid or expired token' });
+    }
+
+    const token = result.rows[0];
+    await pool.query(
+      'UPDATE api_tokens SET last_used_at = CURRENT_TIMESTAMP WHERE id = $1',
+      [token.id]
+    );
+
+    const done = callback => callback && callback();
+    req.session = {
+      userId: token.user_id,
+      username: token.username,
+      save: done,
+      destroy: done,
+      regenerate: done
+    };
+    req.apiToken = { id: token.id, scopes: token.scopes };
+    next();
+  } catch (error) {
+    console.error('Error authenticating API token:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+// Middleware to check if user is authenticated. Also refuses deleted and suspended
+// accounts, and sets req.userRole for requireAdmin.
+async function requireAuth(req, res, next) {
+  if (!req.session.userId) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  try {
+    const result = await pool.query(
+      'SELECT role, suspended_at FROM users WHERE id = $1',
+      [req.session.userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    if (result.rows[0].suspended_at) {
+      return res.status(403).json({ error: 'This account has been suspended' });
+    }
+
+    req.userRole = result.rows[0].role;
+    next();
+  } catch (error) {
+    console.error('Error checking authentication:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+// Token requests need "<area>:read" for reads and "<area>:write" for anything else
+// (write includes read). Browser sessions are not limited by scopes.
+function requireScope(area) {
+  return (req, res, next) => {
+    if (!req.apiToken) {
+      return next();
+    }
+
+    const scopes = req.apiToken.scopes;
+    const needed = READ_METHODS.includes(req.method) ? `${area}:read` : `${area}:write`;
+    if (scopes.includes(needed) || scopes.includes(`${area}:write`)) {
+      return next();
+    }
+    res.status(403).json({ error: `This token does not have the "${needed}" scope` });
+  };
+}
+
+// For endpoints that must not be reachable with a token (e.g. managing tokens)
+function requireSession(req, res, next) {
+  if (req.apiToken) {
+    return res.status(403).json({ error: 'This endpoint cannot be used with an API token' });
+  }
+  requireAuth(req, res, next);
+}
+
+// Admin-only endpoints (browser sessions only)
+function requireAdmin(req, res, next) {
+  requireSession(req, res, () => {
+    if (req.userRole !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+    next();
+  });
+}
+
+module.exports = {
+  TOKEN_SCOPES,
+  generateToken,
+  hashToken,
+  authenticateBearerToken,
+  requireAuth,
+  requireScope,
+  requireSession,
+  requireAdmin
+};
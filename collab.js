@@ -0,0 +1,505 @@
+const http = require('http');
+const { WebSocketServer, WebSocket } = require('ws');
+const { pool } = require('./db');
+const { getNoteAccess } = require('./access');
+const { recordRevision, ensureBaselineRevision } = require('./revisions');
+const TextOT = require('./public/js/ot');
+
+// Real-time collaborative editing of note content over WebSockets.
+//
+// Editors connect to /ws/notes/:id with their session cookie. Each open note has a room
+// holding the authoritative content and a version number. Clients send edits as text
+// operations (public/js/ot.js) tagged with the version they were made against; the room
+// transforms them past any edits the client hadn't seen yet, applies them, acknowledges
+// the sender and forwards the transformed operation to everyone else. Rooms write their
+// content back to the notes row every few seconds and when the last editor leaves.
+//
+// Saves only succeed against the notes.version the room last loaded or wrote. When the
+// note was changed some other way (a form save, the API, a revision restore, an import)
+// the room merges that change into its own content and sends it to the editors as an
+// operation, instead of overwriting it. Editors are told each notes.version the room
+// reaches (a 'saved' message), so their form saves can send a current If-Match.
+//
+// Access is checked again before each operation is applied and before each save; clients
+// who have lost it (suspended, logged out, unshared, ...) are disconnected with code 4403.
+
+const NOTE_PATH = /^\/ws\/notes\/(\d+)$/;
+const MAX_CONTENT_LENGTH = 1000000; // Same limit as validateNoteFields in routes/notes.js
+const MAX_HISTORY = 1000; // Operations kept for transforming late edits; older clients resync
+const SAVE_INTERVAL_MS = 5000;
+const HEARTBEAT_INTERVAL_MS = 30000;
+const COLORS = ['#e6194b', '#3cb44b', '#4363d8', '#f58231', '#911eb4', '#2a9d8f', '#f032e6', '#9a6324'];
+
+const rooms = new Map(); // noteId -> room
+const loadingRooms = new Map(); // noteId -> promise for a room being loaded
+const closingRooms = new Map(); // noteId -> promise for the final save of a room that emptied
+let nextClientId = 1;
+
+function rejectUpgrade(socket, status) {
+  socket.write(`HTTP/1.1 ${status} ${http.STATUS_CODES[status]}\r\nConnection: close\r\n\r\n`);
+  socket.destroy();
+}
+
+// Only accept connections from our own pages
+function isSameOrigin(req) {
+  if (!req.headers.origin) return true;
+  try {
+    return new URL(req.headers.origin).host === req.headers.host;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Check the user may edit the note through the given session; returns { status } on
+// failure or { user }. The session must still exist, so logging out, changing password
+// and revoking sessions all end collaboration too.
+async function checkEditAccess(userId, sessionId, noteId) {
+  if (!userId) {
+    return { status: 401 };
+  }
+
+  const userResult = await pool.query(
+    `SELECT u.username, u.suspended_at,
+            EXISTS (SELECT 1 FROM user_sessions s WHERE s.sid = $2 AND s.expire > CURRENT_TIMESTAMP) AS session_valid
+     FROM users u
+     WHERE u.id = $1`,
+    [userId, sessionId]
+  );
+  if (userResult.rows.length === 0 || !userResult.rows[0].session_valid) {
+    return { status: 401 };
+  }
+  if (userResult.rows[0].suspended_at) {
+    return { status: 403 };
+  }
+
+  const access = await getNoteAccess(noteId, userId);
+  if (!access) {
+    return { status: 404 };
+  }
+  if (access.permission === 'read') {
+    return { status: 403 };
+  }
+
+  return { user: { id: userId, username: userResult.rows[0].username } };
+}
+
+function authorizeConnection(req, noteId) {
+  return checkEditAccess(req.session && req.session.userId, req.sessionID, noteId);
+}
+
+// Whether a connected client still has edit access; if not, disconnect them
+async function recheckClient(room, client) {
+  const authorized = await checkEditAccess(client.userId, client.sessionId, room.noteId);
+  if (authorized.status) {
+    client.revoked = true;
+    client.ws.close(4403, 'Access revoked');
+    return false;
+  }
+  return true;
+}
+
+async function loadRoom(noteId) {
+  // Let a previous session on this note finish saving first
+  await closingRooms.get(noteId);
+
+  const result = await pool.query(
+    'SELECT id, user_id, title, content, version FROM notes WHERE id = $1 AND deleted_at IS NULL',
+    [noteId]
+  );
+  if (result.rows.length === 0) return null;
+
+  const room = {
+    noteId: noteId,
+    note: result.rows[0], // The note as it was when the room opened
+    content: result.rows[0].content,
+    version: 0,
+    noteVersion: result.rows[0].version, // notes.version the room last loaded or wrote
+    savedContent: result.rows[0].content, // The content stored at that notes.version
+    history: [],
+    clients: new Set(),
+    dirty: false,
+    closed: false,
+    lastEditorId: null,
+    saving: Promise.resolve()
+  };
+  rooms.set(noteId, room);
+  return room;
+}
+
+function getRoom(noteId) {
+  if (rooms.has(noteId)) {
+    return Promise.resolve(rooms.get(noteId));
+  }
+  if (!loadingRooms.has(noteId)) {
+    loadingRooms.set(noteId, loadRoom(noteId).finally(() => loadingRooms.delete(noteId)));
+  }
+  return loadingRooms.get(noteId);
+}
+
+function send(client, message) {
+  if (client.ws.readyState === WebSocket.OPEN) {
+    client.ws.send(JSON.stringify(message));
+  }
+}
+
+function broadcast(room, message, except = null) {
+  room.clients.forEach(client => {
+    if (client !== except) {
+      send(client, message);
+    }
+  });
+}
+
+function presence(client) {
+  return {
+    client_id: client.id,
+    username: client.username,
+    color: client.color,
+    selection: client.selection
+  };
+}
+
+// Send the full state; also used to recover a client that has fallen out of sync
+function sendInit(room, client) {
+  send(client, {
+    type: 'init',
+    client_id: client.id,
+    version: room.version,
+    content: room.content,
+    note_version: room.noteVersion,
+    saved_content: room.savedContent,
+    peers: [...room.clients].filter(other => other !== client).map(presence)
+  });
+}
+
+// Operations the client hadn't seen when it was at the given version, or null if they
+// are no longer in the history
+function operationsSince(room, version) {
+  const historyStart = room.version - room.history.length;
+  if (version < historyStart) return null;
+  return room.history.slice(version - historyStart);
+}
+
+function applyClientOperation(room, client, message) {
+  let op = message.op;
+  const version = message.version;
+  if (!TextOT.isValid(op) || !Number.isInteger(version) || version < 0 || version > room.version) {
+    return send(client, { type: 'error', error: 'Invalid operation' });
+  }
+
+  const concurrent = operationsSince(room, version);
+  if (!concurrent) {
+    return sendInit(room, client);
+  }
+
+  let content;
+  try {
+    concurrent.forEach(other => {
+      op = TextOT.transform(op, other)[0];
+    });
+    content = TextOT.apply(op, room.content);
+  } catch (error) {
+    // The client's copy no longer matches ours
+    return sendInit(room, client);
+  }
+
+  if (content.length > MAX_CONTENT_LENGTH) {
+    send(client, { type: 'error', error: 'Content is too long (maximum 1MB)' });
+    return sendInit(room, client);
+  }
+
+  commitOperation(room, op, content);
+  room.dirty = true;
+  room.lastEditorId = client.userId;
+
+  send(client, { type: 'ack', version: room.version });
+  broadcast(room, { type: 'op', client_id: client.id, version: room.version, op: op }, client);
+}
+
+// Make an operation (already transformed to the room's version) part of the room's history
+function commitOperation(room, op, content) {
+  room.content = content;
+  room.version++;
+  room.history.push(op);
+  if (room.history.length > MAX_HISTORY) {
+    room.history.shift();
+  }
+
+  room.clients.forEach(other => {
+    if (other.selection) {
+      other.selection = TextOT.transformSelection(other.selection, op);
+    }
+  });
+}
+
+// Cursor positions are relative to the version the client was at
+function updateCursor(room, client, message) {
+  const selection = message.selection;
+  const version = message.version;
+  if (!selection || !Number.isInteger(selection.start) || !Number.isInteger(selection.end) ||
+      !Number.isInteger(version) || version < 0 || version > room.version) {
+    return send(client, { type: 'error', error: 'Invalid cursor' });
+  }
+
+  const concurrent = operationsSince(room, version);
+  if (!concurrent) return;
+
+  let transformed = { start: selection.start, end: selection.end };
+  concurrent.forEach(op => {
+    transformed = TextOT.transformSelection(transformed, op);
+  });
+  const clamp = index => Math.max(0, Math.min(index, room.content.length));
+  client.selection = { start: clamp(transformed.start), end: clamp(transformed.end) };
+
+  broadcast(room, { type: 'cursor', client_id: client.id, version: room.version, selection: client.selection }, client);
+}
+
+async function handleMessage(room, client, data) {
+  let message;
+  try {
+    message = JSON.parse(data);
+  } catch (error) {
+    return send(client, { type: 'error', error: 'Invalid message' });
+  }
+
+  // The client may have been disconnected while earlier messages were being handled
+  if (client.revoked || !room.clients.has(client)) return;
+
+  const type = message && message.type;
+  if (type === 'op') {
+    if (await recheckClient(room, client)) {
+      applyClientOperation(room, client, message);
+    }
+  } else if (type === 'cursor') {
+    updateCursor(room, client, message);
+  } else {
+    send(client, { type: 'error', error: 'Unknown message type' });
+  }
+}
+
+// Merge a change made to the note outside the room (from savedContent to the stored
+// content) into the room's content, and send it to the editors as an operation
+function mergeExternalChange(room, note) {
+  room.noteVersion = note.version;
+  broadcast(room, { type: 'saved', note_version: note.version, content: note.content });
+
+  // Only the title or tags changed, or the change already matches the room (an editor
+  // saved the form with the room's content)
+  if (note.content === room.savedContent || note.content === room.content) {
+    room.savedContent = note.content;
+    room.dirty = room.content !== note.content;
+    return;
+  }
+
+  const external = TextOT.fromDiff(room.savedContent, note.content);
+  const unsaved = TextOT.fromDiff(room.savedContent, room.content);
+  const op = TextOT.transform(external, unsaved)[0];
+
+  commitOperation(room, op, TextOT.apply(op, room.content));
+  room.savedContent = note.content;
+  room.dirty = room.content !== note.content;
+
+  broadcast(room, { type: 'op', client_id: null, version: room.version, op: op });
+}
+
+// Write the room's content back if it has changed, and pick up changes made to the note
+// outside the room. A write that loses to another change is merged and retried.
+async function writeRoom(room, attempts = 3) {
+  // Disconnect anyone who has lost access before saving what is in the room
+  const clients = [...room.clients].filter(client => !client.revoked);
+  await Promise.all(clients.map(client => recheckClient(room, client).catch(error => {
+    console.error('Error checking collaboration access:', error);
+    return true;
+  })));
+
+  try {
+    if (room.dirty) {
+      room.dirty = false;
+      const content = room.content;
+      const result = await pool.query(
+        `UPDATE notes SET content = $1, version = version + 1, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $2 AND version = $3 AND deleted_at IS NULL
+         RETURNING version`,
+        [content, room.noteId, room.noteVersion]
+      );
+
+      if (result.rows.length > 0) {
+        room.noteVersion = result.rows[0].version;
+        room.savedContent = content;
+        broadcast(room, { type: 'saved', note_version: room.noteVersion, content: content });
+        return;
+      }
+    }
+
+    const noteResult = await pool.query(
+      'SELECT content, version FROM notes WHERE id = $1 AND deleted_at IS NULL',
+      [room.noteId]
+    );
+
+    // The note was deleted or moved to the trash while it was being edited
+    if (noteResult.rows.length === 0) {
+      room.clients.forEach(client => client.ws.close(4404, 'Note was deleted'));
+      return;
+    }
+
+    if (noteResult.rows[0].version !== room.noteVersion) {
+      mergeExternalChange(room, noteResult.rows[0]);
+      if (room.dirty && attempts > 1) {
+        await writeRoom(room, attempts - 1);
+      }
+    }
+  } catch (error) {
+    console.error('Error saving collaborative note:', error);
+    room.dirty = room.content !== room.savedContent;
+  }
+}
+
+// Saves run one after another so an older copy never overwrites a newer one
+function saveRoom(room) {
+  room.saving = room.saving.then(() => writeRoom(room));
+  return room.saving;
+}
+
+// Record the session's changes as one revision, unless that content is already the
+// latest revision (e.g. because an editor also saved the form)
+async function recordSessionRevision(room) {
+  if (room.lastEditorId === null || room.content === room.note.content) return;
+
+  const noteResult = await pool.query('SELECT title FROM notes WHERE id = $1 AND deleted_at IS NULL', [room.noteId]);
+  if (noteResult.rows.length === 0) return;
+
+  await ensureBaselineRevision(room.note);
+
+  const latestResult = await pool.query(
+    'SELECT content FROM note_revisions WHERE note_id = $1 ORDER BY revision_number DESC LIMIT 1',
+    [room.noteId]
+  );
+  if (latestResult.rows[0].content === room.content) return;
+
+  await recordRevision(room.noteId, room.lastEditorId, noteResult.rows[0].title, room.content);
+}
+
+function closeRoom(room) {
+  room.closed = true;
+  rooms.delete(room.noteId);
+
+  const closing = saveRoom(room)
+    .then(() => recordSessionRevision(room))
+    .catch(error => console.error('Error recording collaborative revision:', error))
+    .finally(() => {
+      if (closingRooms.get(room.noteId) === closing) {
+        closingRooms.delete(room.noteId);
+      }
+    });
+  closingRooms.set(room.noteId, closing);
+}
+
+function joinRoom(room, ws, user, sessionId) {
+  if (room.closed) {
+    // The room emptied while this connection was being set up; the client reconnects
+    return ws.close(1013, 'Try again');
+  }
+
+  const clientId = nextClientId++;
+  const client = {
+    id: clientId,
+    ws: ws,
+    userId: user.id,
+    sessionId: sessionId,
+    username: user.username,
+    color: COLORS[clientId % COLORS.length],
+    selection: null,
+    revoked: false,
+    queue: Promise.resolve() // Messages are handled one at a time, in order
+  };
+
+  room.clients.add(client);
+  sendInit(room, client);
+  broadcast(room, { type: 'join', ...presence(client) }, client);
+
+  ws.isAlive = true;
+  ws.on('pong', () => {
+    ws.isAlive = true;
+  });
+  ws.on('message', data => {
+    client.queue = client.queue
+      .then(() => handleMessage(room, client, data))
+      .catch(error => {
+        console.error('Error handling collaboration message:', error);
+        send(client, { type: 'error', error: 'Internal server error' });
+      });
+  });
+  ws.on('error', error => console.error('Collaboration socket error:', error));
+  ws.on('close', () => {
+    room.clients.delete(client);
+    broadcast(room, { type: 'leave', client_id: clientId });
+    if (room.clients.size === 0 && !room.closed) {
+      closeRoom(room);
+    }
+  });
+}
+
+// Attach the collaboration endpoint to the HTTP server. sessionMiddleware is the
+// express-session middleware used by the app, so connections share the login session.
+function setupCollaboration(server, sessionMiddleware) {
+  const wss = new WebSocketServer({ noServer: true, maxPayload: 5 * 1024 * 1024 });
+
+  server.on('upgrade', (req, socket, head) => {
+    socket.on('error', error => console.error('Collaboration socket error:', error));
+
+    const match = NOTE_PATH.exec(new URL(req.url, 'http://localhost').pathname);
+    if (!match) {
+      return rejectUpgrade(socket, 404);
+    }
+    if (!isSameOrigin(req)) {
+      return rejectUpgrade(socket, 403);
+    }
+
+    const noteId = parseInt(match[1]);
+    sessionMiddleware(req, {}, async () => {
+      try {
+        const authorized = await authorizeConnection(req, noteId);
+        if (authorized.status) {
+          return rejectUpgrade(socket, authorized.status);
+        }
+
+        const room = await getRoom(noteId);
+        if (!room) {
+          return rejectUpgrade(socket, 404);
+        }
+
+        wss.handleUpgrade(req, socket, head, ws => joinRoom(room, ws, authorized.user, req.sessionID));
+      } catch (error) {
+        console.error('Error opening collaboration session:', error);
+        rejectUpgrade(socket, 500);
+      }
+    });
+  });
+
+  // Write edited rooms back to the database (picking up changes made elsewhere), and drop
+  // rooms whose connection never opened
+  setInterval(() => {
+    rooms.forEach(room => {
+      if (room.clients.size === 0) {
+        closeRoom(room);
+      } else {
+        saveRoom(room);
+      }
+    });
+  }, SAVE_INTERVAL_MS);
+
+  // Drop connections that stopped answering pings
+  setInterval(() => {
+    wss.clients.forEach(ws => {
+      if (!ws.isAlive) {
+        return ws.terminate();
+      }
+      ws.isAlive = false;
+      ws.ping();
+    });
+  }, HEARTBEAT_INTERVAL_MS);
+}
+
+module.exports = {
+  setupCollaboration
+};
@@ -1,4 +1,8 @@
 const { Pool } = require('pg');
+const path = require('path');
+const fs = require('fs');
+const { storage } = require('./storage');
+const { migrate, getMigrationStatus } = require('./migrate');
 
 const pool = new Pool({
   host: process.env.DB_HOST || 'localhost',
@@ -12,64 +16,116 @@ const pool = new Pool({
   connectionTimeoutMillis: parseInt(process.env.DB_POOL_CONNECTION_TIMEOUT || '2000', 10),
 });
 
-// Initialize database tables
+// Bring the schema up to date (see migrate.js), then run startup data fixes. With
+// AUTO_MIGRATE=false migrations are left to `npm run migrate`, and the server refuses to
+// start while any are pending.
 async function initializeDatabase() {
   try {
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS users (
-        id SERIAL PRIMARY KEY,
-        username VARCHAR(255) UNIQUE NOT NULL,
-        password_hash VARCHAR(255) NOT NULL,
-        description TEXT,
-        avatar_path VARCHAR(255),
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
+    if (process.env.AUTO_MIGRATE === 'false') {
+      const pending = (await getMigrationStatus(pool)).filter(migration => migration.state === 'pending');
+      if (pending.length > 0) {
+        throw new Error(`${pending.length} pending migration(s), starting with ${pending[0].name}: run npm run migrate`);
+      }
+    } else {
+      await migrate(pool);
+    }
     
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS notes (
-        id SERIAL PRIMARY KEY,
-        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
-        title VARCHAR(255) NOT NULL,
-        content TEXT NOT NULL,
-        is_public BOOLEAN DEFAULT FALSE,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
+    // Bootstrap the first admin from ADMIN_USERNAME (the account must already exist)
+    if (process.env.ADMIN_USERNAME) {
+      const adminResult = await pool.query(
+        "UPDATE users SET role = 'admin' WHERE username = $1 AND role <> 'admin' RETURNING id",
+        [process.env.ADMIN_USERNAME]
+      );
+      if (adminResult.rows.length > 0) {
+        console.log(`Granted admin role to ${process.env.ADMIN_USERNAME}`);
+      }
+    }
     
-    // Add is_public column if it doesn't exist (for existing databases)
-    await pool.query(`
-      DO $$ 
-      BEGIN
-        IF NOT EXISTS (
-          SELECT 1 FROM information_schema.columns 
-          WHERE table_name = 'notes' AND column_name = 'is_public'
-        ) THEN
-          ALTER TABLE notes ADD COLUMN is_public BOOLEAN DEFAULT FALSE;
-        END IF;
-      END $$;
-    `);
+    await migrateAttachmentStorage();
+    await migrateAvatarStorage();
     
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS note_attachments (
-        id SERIAL PRIMARY KEY,
-        note_id INTEGER NOT NULL REFERENCES notes(id) ON DELETE CASCADE,
-        original_filename VARCHAR(255) NOT NULL,
-        stored_filename VARCHAR(255) NOT NULL,
-        file_path VARCHAR(500) NOT NULL,
-        file_size INTEGER NOT NULL,
-        mime_type VARCHAR(100),
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-    
-    console.log('Database tables initialized successfully');
+    console.log('Database initialized successfully');
   } catch (error) {
     console.error('Error initializing database:', error);
     throw error;
   }
 }
 
+// Put a legacy file from public/ into storage and delete it. Returns false if the file is
+// missing and isn't in storage already either.
+async function moveLegacyFile(legacyPath, key) {
+  if (fs.existsSync(legacyPath)) {
+    await storage.put(key, legacyPath);
+    fs.unlinkSync(legacyPath);
+    return true;
+  }
+  return Boolean(await storage.stat(key));
+}
+
+// Move attachments that were stored under public/attachments (and served statically)
+// into storage, rewriting file_path to the storage key
+async function migrateAttachmentStorage() {
+  const result = await pool.query(
+    "SELECT id, stored_filename, file_path FROM note_attachments WHERE file_path LIKE '/attachments/%'"
+  );
+
+  if (result.rows.length === 0) return;
+
+  const legacyDir = path.join(__dirname, 'public', 'attachments');
+
+  for (const row of result.rows) {
+    const filename = path.basename(row.file_path);
+    const key = `attachments/${filename}`;
+
+    if (!(await moveLegacyFile(path.join(legacyDir, filename), key))) {
+      console.warn(`Attachment ${row.id} is missing its file (${row.file_path})`);
+    }
+
+    await pool.query(
+      'UPDATE note_attachments SET file_path = $1 WHERE id = $2',
+      [key, row.id]
+    );
+  }
+
+  console.log(`Moved ${result.rows.length} attachment(s) to private storage`);
+}
+
+// Move avatars that were stored under public/uploads (and served statically) into
+// storage; they are served from /avatars now
+async function migrateAvatarStorage() {
+  const result = await pool.query(
+    "SELECT id, avatar_path, avatar_thumbnail_path FROM users WHERE avatar_path LIKE '/uploads/%' OR avatar_thumbnail_path LIKE '/uploads/%'"
+  );
+
+  if (result.rows.length === 0) return;
+
+  const legacyDir = path.join(__dirname, 'public', 'uploads');
+
+  for (const row of result.rows) {
+    const paths = [];
+    for (const avatarPath of [row.avatar_path, row.avatar_thumbnail_path]) {
+      if (!avatarPath || !avatarPath.startsWith('/uploads/')) {
+        paths.push(avatarPath);
+        continue;
+      }
+
+      const filename = path.basename(avatarPath);
+      if (await moveLegacyFile(path.join(legacyDir, filename), `avatars/${filename}`)) {
+        paths.push(`/avatars/${filename}`);
+      } else {
+        console.warn(`User ${row.id} is missing an avatar file (${avatarPath})`);
+        paths.push(null);
+      }
+    }
+
+    await pool.query(
+      'UPDATE users SET avatar_path = $1, avatar_thumbnail_path = $2 WHERE id = $3',
+      [paths[0], paths[1], row.id]
+    );
+  }
+
+  console.log(`Moved ${result.rows.length} user avatar(s) to storage`);
+}
+
 module.exports = { pool, initializeDatabase };
 
@@ -0,0 +1,112 @@
+const fs = require('fs');
+const AdmZip = require('adm-zip');
+const { scanFile } = require('./scanner');
+
+// Checks run on every upload once it has been written to disk: the content has to match
+// the MIME type the client claimed (multer's fileFilter only sees the client-sent type and
+// the extension), and the file has to pass the malware scanner (see scanner.js).
+
+const SNIFF_BYTES = 4096;
+
+function readHeader(filePath) {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(SNIFF_BYTES);
+    const bytesRead = fs.readSync(fd, buffer, 0, SNIFF_BYTES, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+function startsWith(buffer, signature, offset = 0) {
+  const bytes = Buffer.from(signature);
+  return buffer.length >= offset + bytes.length && buffer.subarray(offset, offset + bytes.length).equals(bytes);
+}
+
+// Legacy Office documents (.doc, .xls) are OLE compound files
+function isCompoundFile(buffer) {
+  return startsWith(buffer, [0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1]);
+}
+
+// Office Open XML documents (.docx, .xlsx) are ZIP archives with a folder for their main part
+function isOfficeOpenXml(buffer, filePath, folder) {
+  if (!startsWith(buffer, 'PK\x03\x04')) return false;
+  try {
+    const entries = new AdmZip(filePath).getEntries();
+    return entries.some(entry => entry.entryName === '[Content_Types].xml') &&
+      entries.some(entry => entry.entryName.startsWith(folder));
+  } catch (error) {
+    return false;
+  }
+}
+
+// Plain text has no control characters other than whitespace (and escape)
+function isText(buffer) {
+  return !buffer.some(byte => byte < 0x20 && ![0x09, 0x0A, 0x0C, 0x0D, 0x1B].includes(byte));
+}
+
+const FILE_TYPES = {
+  'image/jpeg': buffer => startsWith(buffer, [0xFF, 0xD8, 0xFF]),
+  'image/jpg': buffer => startsWith(buffer, [0xFF, 0xD8, 0xFF]),
+  'image/png': buffer => startsWith(buffer, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+  'image/gif': buffer => startsWith(buffer, 'GIF87a') || startsWith(buffer, 'GIF89a'),
+  'image/webp': buffer => startsWith(buffer, 'RIFF') && startsWith(buffer, 'WEBP', 8),
+  // Readers accept a PDF header anywhere in the first 1KB
+  'application/pdf': buffer => {
+    const index = buffer.indexOf('%PDF-');
+    return index !== -1 && index < 1024;
+  },
+  'text/plain': isText,
+  'application/msword': isCompoundFile,
+  'application/vnd.ms-excel': isCompoundFile,
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document':
+    (buffer, filePath) => isOfficeOpenXml(buffer, filePath, 'word/'),
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet':
+    (buffer, filePath) => isOfficeOpenXml(buffer, filePath, 'xl/')
+};
+
+// Whether a file's content matches the MIME type it was uploaded as. Types we have no
+// signature for never match.
+function matchesFileType(filePath, mimeType) {
+  const check = FILE_TYPES[mimeType];
+  return Boolean(check) && check(readHeader(filePath), filePath);
+}
+
+// Check an uploaded file. Returns null if it may be stored, or { status, error, filename }
+// describing why it was rejected. Infected files are quarantined by the scanner.
+async function checkUpload(filePath, mimeType, filename) {
+  if (!matchesFileType(filePath, mimeType)) {
+    return {
+      status: 400,
+      error: `The contents of "${filename}" don't match its file type (${mimeType})`,
+      filename: filename
+    };
+  }
+
+  let result;
+  try {
+    result = await scanFile(filePath);
+  } catch (error) {
+    console.error('Error scanning upload:', error);
+    return {
+      status: 503,
+      error: 'Uploads cannot be scanned for malware right now. Please try again later.',
+      filename: filename
+    };
+  }
+
+  if (!result.clean) {
+    return {
+      status: 422,
+      error: `"${filename}" was rejected by the malware scanner (${result.threat})`,
+      filename: filename
+    };
+  }
+
+  return null;
+}
+
+module.exports = {
+  checkUpload
+};
@@ -0,0 +1,44 @@
+const YAML = require('yaml');
+
+// YAML front matter for notes exported and imported as Markdown files.
+// Values are written as JSON scalars/arrays, which are valid YAML.
+
+// Format a single front matter value
+function formatValue(value) {
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  return JSON.stringify(value);
+}
+
+// Prefix a Markdown body with a front matter block built from an object's fields
+function serializeFrontMatter(fields, body) {
+  const lines = Object.entries(fields)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => `${key}: ${formatValue(value)}`);
+
+  return `---\n${lines.join('\n')}\n---\n\n${body}\n`;
+}
+
+// Split a Markdown file into its front matter fields and body.
+// Files without front matter return empty fields; malformed YAML throws.
+function parseFrontMatter(text) {
+  const match = /^\uFEFF?---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/.exec(text);
+  if (!match) {
+    return { fields: {}, body: text };
+  }
+
+  let fields;
+  try {
+    fields = YAML.parse(match[1]);
+  } catch (err) {
+    throw new Error(`Invalid front matter: ${err.message}`);
+  }
+  if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+    fields = {};
+  }
+
+  return { fields, body: text.slice(match[0].length) };
+}
+
+module.exports = { serializeFrontMatter, parseFrontMatter };
@@ -0,0 +1,247 @@
+const path = require('path');
+const fs = require('fs');
+const AdmZip = require('adm-zip');
+const { parseFrontMatter } = require('./frontmatter');
+
+// Turns uploaded import files (.md/.txt, .json, or .zip) into a flat list of note
+// candidates. Each item is either { source, title, content, ... } or { source, error };
+// validation against the note limits happens in the route.
+
+const MAX_IMPORT_ITEMS = 500;
+const MAX_ZIP_ENTRIES = 2000;
+
+// Limits for all the files of one import together, so that splitting an import across
+// several files doesn't raise how much the server holds in memory for it
+const MAX_IMPORT_UPLOAD_BYTES = 100 * 1024 * 1024; // 100MB uploaded
+const MAX_IMPORT_UNCOMPRESSED_BYTES = 200 * 1024 * 1024; // 200MB read or extracted
+const IMPORT_TOO_LARGE_ERROR = 'Import is too large when uncompressed (maximum 200MB in total)';
+
+const NOTE_EXTENSIONS = ['.md', '.markdown', '.txt'];
+
+// ZIP entries carry no MIME type, so attachments are typed by extension
+// (limited to the types the attachment upload filter accepts)
+const ATTACHMENT_MIME_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.pdf': 'application/pdf',
+  '.txt': 'text/plain',
+  '.doc': 'application/msword',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.xls': 'application/vnd.ms-excel',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+};
+
+function importTooLarge() {
+  const error = new Error(IMPORT_TOO_LARGE_ERROR);
+  error.status = 413;
+  return error;
+}
+
+// Take bytes from the import's uncompressed budget ({ remaining }), failing once it runs out
+function useBudget(budget, bytes) {
+  budget.remaining -= bytes;
+  if (budget.remaining < 0) {
+    throw importTooLarge();
+  }
+}
+
+// Extract a ZIP entry, counting the bytes it actually inflates to (not the size its header
+// declares) against the budget
+function readZipEntry(entry, budget) {
+  if (entry.header.size > budget.remaining) {
+    throw importTooLarge();
+  }
+  const data = entry.getData();
+  useBudget(budget, data.length);
+  return data;
+}
+
+// Build a note candidate from a Markdown/text file with optional front matter
+function noteFromText(source, text) {
+  let parsed;
+  try {
+    parsed = parseFrontMatter(text);
+  } catch (err) {
+    return { source, error: err.message };
+  }
+
+  const { fields, body } = parsed;
+  const fallbackTitle = path.basename(source, path.extname(source));
+
+  return {
+    source,
+    title: fields.title !== undefined ? String(fields.title) : fallbackTitle,
+    content: body,
+    is_public: fields.is_public,
+    tags: fields.tags,
+    created_at: fields.created_at,
+    updated_at: fields.updated_at,
+    attachments: []
+  };
+}
+
+// Build note candidates from a JSON file
+function notesFromJson(source, text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    return [{ source, error: 'Invalid JSON' }];
+  }
+  return notesFromData(source, data);
+}
+
+// Build note candidates from parsed JSON: an array of notes or an object with a "notes" array
+function notesFromData(source, data) {
+  const notes = Array.isArray(data) ? data : data && data.notes;
+  if (!Array.isArray(notes)) {
+    return [{ source, error: 'JSON must be an array of notes or an object with a "notes" array' }];
+  }
+
+  return notes.map((note, index) => {
+    const itemSource = `${source}[${index}]`;
+    if (!note || typeof note !== 'object') {
+      return { source: itemSource, error: 'Each note must be an object' };
+    }
+    return {
+      source: itemSource,
+      title: typeof note.title === 'string' ? note.title : undefined,
+      content: typeof note.content === 'string' ? note.content : undefined,
+      is_public: note.is_public,
+      tags: note.tags,
+      created_at: note.created_at,
+      updated_at: note.updated_at,
+      attachments: []
+    };
+  });
+}
+
+// Build note candidates from a ZIP of Markdown files. If the archive has a VibeNotes
+// export manifest, attachments listed in it are imported with their notes.
+function notesFromZip(source, filePath, budget) {
+  let zip;
+  try {
+    zip = new AdmZip(filePath);
+  } catch (err) {
+    return [{ source, error: 'Invalid ZIP archive' }];
+  }
+
+  const entries = zip.getEntries().filter(entry => !entry.isDirectory);
+  if (entries.length > MAX_ZIP_ENTRIES) {
+    return [{ source, error: `ZIP archive has too many files (maximum ${MAX_ZIP_ENTRIES})` }];
+  }
+
+  // Check declared sizes before decompressing anything; what entries actually inflate
+  // to is counted as they are read
+  const totalSize = entries.reduce((sum, entry) => sum + entry.header.size, 0);
+  if (totalSize > budget.remaining) {
+    throw importTooLarge();
+  }
+
+  const entriesByName = new Map(entries.map(entry => [entry.entryName, entry]));
+
+  // Map note files to their attachments using an export manifest, if present
+  const attachmentsByNoteFile = new Map();
+  const manifestEntry = entriesByName.get('manifest.json');
+  if (manifestEntry) {
+    try {
+      const manifest = JSON.parse(readZipEntry(manifestEntry, budget).toString('utf8'));
+      if (manifest && manifest.format === 'vibenotes-export' && Array.isArray(manifest.notes)) {
+        manifest.notes.forEach(note => {
+          if (typeof note.file === 'string' && Array.isArray(note.attachments)) {
+            attachmentsByNoteFile.set(note.file, note.attachments.filter(a => typeof a.file === 'string'));
+          }
+        });
+      }
+    } catch (err) {
+      // Not a VibeNotes manifest; import the Markdown files on their own
+    }
+  }
+
+  const items = [];
+  for (const entry of entries) {
+    const entryName = entry.entryName;
+    const ext = path.extname(entryName).toLowerCase();
+    const baseName = path.basename(entryName);
+
+    // Skip hidden files and OS metadata (e.g. __MACOSX/, .DS_Store)
+    if (baseName.startsWith('.') || entryName.startsWith('__MACOSX/')) continue;
+    if (!NOTE_EXTENSIONS.includes(ext) || entryName.startsWith('attachments/')) continue;
+
+    const item = noteFromText(`${source}/${entryName}`, readZipEntry(entry, budget).toString('utf8'));
+
+    if (!item.error) {
+      for (const attachment of attachmentsByNoteFile.get(entryName) || []) {
+        const attachmentEntry = entriesByName.get(attachment.file);
+        const attachmentExt = path.extname(attachment.file).toLowerCase();
+        const mimeType = ATTACHMENT_MIME_TYPES[attachmentExt];
+        if (!attachmentEntry || !mimeType) continue;
+
+        item.attachments.push({
+          filename: attachment.original_filename || path.basename(attachment.file),
+          mime_type: mimeType,
+          data: readZipEntry(attachmentEntry, budget)
+        });
+      }
+    }
+
+    items.push(item);
+  }
+
+  if (items.length === 0) {
+    return [{ source, error: 'ZIP archive contains no Markdown or text files' }];
+  }
+
+  return items;
+}
+
+// Read a text file from the upload, counting it against the budget
+function readTextFile(file, budget) {
+  useBudget(budget, file.size);
+  return fs.readFileSync(file.path, 'utf8');
+}
+
+// Parse one uploaded file ({ originalname, path, size }) into note candidates
+function parseImportFile(file, budget) {
+  const ext = path.extname(file.originalname).toLowerCase();
+
+  if (NOTE_EXTENSIONS.includes(ext)) {
+    return [noteFromText(file.originalname, readTextFile(file, budget))];
+  }
+  if (ext === '.json') {
+    return notesFromJson(file.originalname, readTextFile(file, budget));
+  }
+  if (ext === '.zip') {
+    return notesFromZip(file.originalname, file.path, budget);
+  }
+
+  return [{ source: file.originalname, error: 'Unsupported file type' }];
+}
+
+// Parse all the files of an import (uploaded to disk by multer). Returns { items }, or
+// { status, error } when together they go over the import size limits.
+function parseImportFiles(files) {
+  const uploadedBytes = files.reduce((total, file) => total + file.size, 0);
+  if (uploadedBytes > MAX_IMPORT_UPLOAD_BYTES) {
+    return { status: 413, error: 'Import is too large (maximum 100MB of files in total)' };
+  }
+
+  const budget = { remaining: MAX_IMPORT_UNCOMPRESSED_BYTES };
+  try {
+    let items = [];
+    files.forEach(file => {
+      items = items.concat(parseImportFile(file, budget));
+    });
+    return { items };
+  } catch (error) {
+    if (error.status === 413) {
+      return { status: 413, error: error.message };
+    }
+    throw error;
+  }
+}
+
+module.exports = { parseImportFiles, notesFromData, MAX_IMPORT_ITEMS };
@@ -0,0 +1,49 @@
+const { Marked } = require('marked');
+const sanitizeHtml = require('sanitize-html');
+
+// GitHub-flavoured Markdown: tables, fenced code blocks, strikethrough, task lists
+const marked = new Marked({ gfm: true, breaks: false });
+
+// Only markup that Markdown itself produces is kept. Scripts, event handlers, inline
+// styles and non-http(s) URLs are stripped, so the output is safe to insert into the
+// page under the app's Content Security Policy. Images must be relative URLs (such as
+// attachment downloads), as the policy's img-src only allows the app's own origin.
+const sanitizeOptions = {
+  allowedTags: sanitizeHtml.defaults.allowedTags.concat(['img', 'del', 'input']),
+  allowedAttributes: {
+    a: ['href', 'title', 'rel'],
+    img: ['src', 'alt', 'title'],
+    code: ['class'],
+    th: ['align'],
+    td: ['align'],
+    input: ['type', 'checked', 'disabled'],
+  },
+  allowedClasses: {
+    code: ['language-*'],
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  allowedSchemesByTag: {
+    img: [],
+  },
+  allowProtocolRelative: false,
+  transformTags: {
+    a: sanitizeHtml.simpleTransform('a', { rel: 'noopener noreferrer nofollow' }),
+    // Task list checkboxes are display-only
+    input: (tagName, attribs) => ({
+      tagName: 'input',
+      attribs: {
+        type: 'checkbox',
+        disabled: '',
+        ...(attribs.checked !== undefined ? { checked: '' } : {}),
+      },
+    }),
+  },
+};
+
+// Render Markdown to sanitized HTML
+function renderMarkdown(text) {
+  const html = marked.parse(text || '');
+  return sanitizeHtml(html, sanitizeOptions);
+}
+
+module.exports = { renderMarkdown };
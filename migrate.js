@@ -0,0 +1,214 @@
+const path = require('path');
+const fs = require('fs');
+
+// Versioned schema migrations. Each migration in migrations/ is numbered, and is either
+//   NNN_name.up.sql (+ NNN_name.down.sql to roll it back), or
+//   NNN_name.js exporting async up(client) and down(client)
+// Applied versions are recorded in schema_migrations. Each migration runs in its own
+// transaction, and the whole run holds an advisory lock so that app instances starting
+// at the same time don't apply the same migration twice. A migration without a down step
+// can't be rolled back.
+//
+// Usage: node migrate.js up | down [steps] | status (see the npm scripts)
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.(up\.sql|down\.sql|js)$/;
+const MIGRATION_LOCK_ID = 591003; // Arbitrary key for pg_advisory_lock, shared by every instance
+
+// Read the migrations directory into a list sorted by version
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = new Map();
+
+  fs.readdirSync(dir).forEach(file => {
+    const match = MIGRATION_FILE_PATTERN.exec(file);
+    if (!match) return;
+
+    const version = parseInt(match[1], 10);
+    const name = `${match[1]}_${match[2]}`;
+    const existing = migrations.get(version);
+    if (existing && existing.name !== name) {
+      throw new Error(`Migrations ${existing.name} and ${name} have the same version number`);
+    }
+
+    const migration = existing || { version, name, up: null, down: null };
+    const filePath = path.join(dir, file);
+    if (match[3] === 'js') {
+      const module = require(filePath);
+      migration.up = module.up || null;
+      migration.down = module.down || null;
+    } else {
+      const sql = fs.readFileSync(filePath, 'utf8');
+      migration[match[3] === 'up.sql' ? 'up' : 'down'] = client => client.query(sql);
+    }
+    migrations.set(version, migration);
+  });
+
+  const list = Array.from(migrations.values()).sort((a, b) => a.version - b.version);
+  const incomplete = list.find(migration => !migration.up);
+  if (incomplete) {
+    throw new Error(`Migration ${incomplete.name} has no up step`);
+  }
+  return list;
+}
+
+// Run fn with a client holding the migration lock (waiting for any other instance's run)
+async function withMigrationLock(pool, fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+    try {
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+          version INTEGER PRIMARY KEY,
+          name VARCHAR(255) NOT NULL,
+          applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      return await fn(client);
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+async function getAppliedMigrations(client) {
+  const result = await client.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version ASC');
+  return result.rows;
+}
+
+// Run one migration step and update schema_migrations, all in one transaction
+async function runStep(client, migration, direction) {
+  await client.query('BEGIN');
+  try {
+    await migration[direction](client);
+    if (direction === 'up') {
+      await client.query(
+        'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+        [migration.version, migration.name]
+      );
+    } else {
+      await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+    }
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK').catch(err => console.error('Error rolling back migration:', err));
+    throw new Error(`Migration ${migration.name} (${direction}) failed: ${error.message}`, { cause: error });
+  }
+}
+
+// Apply every pending migration in version order. Returns the names of those applied.
+async function migrate(pool, dir = MIGRATIONS_DIR) {
+  const migrations = loadMigrations(dir);
+
+  return withMigrationLock(pool, async (client) => {
+    const appliedVersions = new Set((await getAppliedMigrations(client)).map(row => row.version));
+    const applied = [];
+
+    for (const migration of migrations) {
+      if (appliedVersions.has(migration.version)) continue;
+      await runStep(client, migration, 'up');
+      console.log(`Applied migration ${migration.name}`);
+      applied.push(migration.name);
+    }
+    return applied;
+  });
+}
+
+// Roll back the most recently applied migrations (one by default). Returns the names of
+// those rolled back.
+async function rollback(pool, steps = 1, dir = MIGRATIONS_DIR) {
+  const migrations = new Map(loadMigrations(dir).map(migration => [migration.version, migration]));
+
+  return withMigrationLock(pool, async (client) => {
+    const toRollBack = (await getAppliedMigrations(client)).reverse().slice(0, steps);
+
+    // Check every step can be rolled back before starting
+    toRollBack.forEach(row => {
+      const migration = migrations.get(row.version);
+      if (!migration) {
+        throw new Error(`Migration ${row.name} is applied but its file is missing`);
+      }
+      if (!migration.down) {
+        throw new Error(`Migration ${migration.name} can't be rolled back (it has no down step)`);
+      }
+    });
+
+    const rolledBack = [];
+    for (const row of toRollBack) {
+      const migration = migrations.get(row.version);
+      await runStep(client, migration, 'down');
+      console.log(`Rolled back migration ${migration.name}`);
+      rolledBack.push(migration.name);
+    }
+    return rolledBack;
+  });
+}
+
+// Every known migration with its state: applied (with applied_at), pending, or missing
+// (applied, but no longer in the migrations directory)
+async function getMigrationStatus(pool, dir = MIGRATIONS_DIR) {
+  const migrations = loadMigrations(dir);
+
+  return withMigrationLock(pool, async (client) => {
+    const applied = new Map((await getAppliedMigrations(client)).map(row => [row.version, row]));
+    const status = migrations.map(migration => ({
+      version: migration.version,
+      name: migration.name,
+      state: applied.has(migration.version) ? 'applied' : 'pending',
+      applied_at: applied.has(migration.version) ? applied.get(migration.version).applied_at : null
+    }));
+
+    applied.forEach(row => {
+      if (!migrations.some(migration => migration.version === row.version)) {
+        status.push({ version: row.version, name: row.name, state: 'missing', applied_at: row.applied_at });
+      }
+    });
+    return status.sort((a, b) => a.version - b.version);
+  });
+}
+
+async function main(args) {
+  const { pool } = require('./db');
+  const command = args[0] || 'status';
+
+  try {
+    if (command === 'up') {
+      const applied = await migrate(pool);
+      console.log(applied.length > 0 ? `Applied ${applied.length} migration(s)` : 'Database is up to date');
+    } else if (command === 'down') {
+      const steps = args[1] === undefined ? 1 : parseInt(args[1], 10);
+      if (!Number.isInteger(steps) || steps < 1) {
+        throw new Error('Steps must be a positive whole number');
+      }
+      const rolledBack = await rollback(pool, steps);
+      console.log(rolledBack.length > 0 ? `Rolled back ${rolledBack.length} migration(s)` : 'No migrations to roll back');
+    } else if (command === 'status') {
+      const status = await getMigrationStatus(pool);
+      status.forEach(migration => {
+        const appliedAt = migration.applied_at ? `  ${new Date(migration.applied_at).toISOString()}` : '';
+        console.log(`${migration.state.padEnd(8)} ${migration.name}${appliedAt}`);
+      });
+    } else {
+      throw new Error(`Unknown command "${command}" (use up, down [steps] or status)`);
+    }
+  } finally {
+    await pool.end();
+  }
+}
+
+module.exports = {
+  loadMigrations,
+  migrate,
+  rollback,
+  getMigrationStatus
+};
+
+// Exported first, as db.js requires this module while main() is loading it
+if (require.main === module) {
+  main(process.argv.slice(2)).catch(error => {
+    console.error(error.message);
+    process.exit(1);
+  });
+}
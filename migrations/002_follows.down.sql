@@ -0,0 +1,2 @@
+DROP INDEX IF EXISTS notes_public_updated_at_idx;
+DROP TABLE IF EXISTS follows;
@@ -0,0 +1,14 @@
+-- Users following each other; the feed shows public notes of the users you follow
+CREATE TABLE follows (
+  follower_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  followee_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (follower_id, followee_id),
+  CHECK (follower_id <> followee_id)
+);
+
+CREATE INDEX follows_followee_id_idx ON follows (followee_id);
+
+-- The feed reads each followed user's public notes, most recently updated first
+CREATE INDEX notes_public_updated_at_idx ON notes (user_id, updated_at DESC, id DESC)
+  WHERE is_public = true AND deleted_at IS NULL;
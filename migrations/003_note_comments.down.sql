@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS note_comments;
+ALTER TABLE notes DROP COLUMN IF EXISTS comments_enabled;
@@ -0,0 +1,23 @@
+-- Comments on notes, by anyone who can see the note. Replies point at the comment they
+-- answer (parent_id) and at the top-level comment of their thread (thread_id), so a page
+-- of threads can be loaded in one query.
+ALTER TABLE notes ADD COLUMN comments_enabled BOOLEAN NOT NULL DEFAULT TRUE;
+
+CREATE TABLE note_comments (
+  id SERIAL PRIMARY KEY,
+  note_id INTEGER NOT NULL REFERENCES notes(id) ON DELETE CASCADE,
+  user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  parent_id INTEGER REFERENCES note_comments(id) ON DELETE CASCADE,
+  thread_id INTEGER REFERENCES note_comments(id) ON DELETE CASCADE,
+  content TEXT NOT NULL,
+  hidden_at TIMESTAMP,
+  deleted_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX note_comments_note_id_created_at_idx ON note_comments (note_id, created_at, id) WHERE parent_id IS NULL;
+
+CREATE INDEX note_comments_thread_id_idx ON note_comments (thread_id);
+
+CREATE INDEX note_comments_parent_id_idx ON note_comments (parent_id);
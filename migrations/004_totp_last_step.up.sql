@@ -0,0 +1,3 @@
+-- The time step of the last authenticator code accepted for each user, so that a code
+-- can't be used twice while it is still valid
+ALTER TABLE users ADD COLUMN totp_last_step BIGINT;
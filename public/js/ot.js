@@ -0,0 +1,245 @@
+// Operational transformation for plain text, shared by the collaborative editor
+// (edit-note.html) and the WebSocket server (collab.js).
+//
+// An operation is an array of components that walk the document from the start:
+// a positive number keeps that many characters, a string inserts it and a negative
+// number deletes that many characters. An operation must cover the whole document.
+(function (exports) {
+  function isRetain(component) {
+    return typeof component === 'number' && component > 0;
+  }
+
+  function isInsert(component) {
+    return typeof component === 'string';
+  }
+
+  function isDelete(component) {
+    return typeof component === 'number' && component < 0;
+  }
+
+  // Append a component, merging it into the previous one when they are the same kind.
+  // Inserts are kept ahead of deletes so equivalent operations look the same.
+  function push(op, component) {
+    if (component === 0 || component === '') return;
+    const last = op[op.length - 1];
+
+    if (isInsert(component) && isDelete(last)) {
+      if (isInsert(op[op.length - 2])) {
+        op[op.length - 2] += component;
+      } else {
+        op.splice(op.length - 1, 0, component);
+      }
+    } else if (isInsert(component) && isInsert(last)) {
+      op[op.length - 1] += component;
+    } else if ((isRetain(component) && isRetain(last)) || (isDelete(component) && isDelete(last))) {
+      op[op.length - 1] += component;
+    } else {
+      op.push(component);
+    }
+  }
+
+  // Check an operation received from elsewhere before using it
+  function isValid(op) {
+    return Array.isArray(op) && op.every(component =>
+      (isInsert(component) && component.length > 0) || (Number.isInteger(component) && component !== 0)
+    );
+  }
+
+  // Length of the document the operation applies to
+  function baseLength(op) {
+    return op.reduce((length, component) => {
+      if (isRetain(component)) return length + component;
+      if (isDelete(component)) return length - component;
+      return length;
+    }, 0);
+  }
+
+  // Length of the document after the operation
+  function targetLength(op) {
+    return op.reduce((length, component) => {
+      if (isRetain(component)) return length + component;
+      if (isInsert(component)) return length + component.length;
+      return length;
+    }, 0);
+  }
+
+  function apply(op, text) {
+    if (baseLength(op) !== text.length) {
+      throw new Error('Operation does not match the document length');
+    }
+
+    const parts = [];
+    let index = 0;
+    op.forEach(component => {
+      if (isRetain(component)) {
+        parts.push(text.slice(index, index + component));
+        index += component;
+      } else if (isInsert(component)) {
+        parts.push(component);
+      } else {
+        index -= component;
+      }
+    });
+    return parts.join('');
+  }
+
+  // Build the operation that turns oldText into newText. Editors change one region at a
+  // time, so keeping the common prefix and suffix is enough.
+  function fromDiff(oldText, newText) {
+    let prefix = 0;
+    const maxPrefix = Math.min(oldText.length, newText.length);
+    while (prefix < maxPrefix && oldText[prefix] === newText[prefix]) prefix++;
+
+    let suffix = 0;
+    const maxSuffix = maxPrefix - prefix;
+    while (suffix < maxSuffix &&
+           oldText[oldText.length - 1 - suffix] === newText[newText.length - 1 - suffix]) suffix++;
+
+    const op = [];
+    push(op, prefix);
+    push(op, newText.slice(prefix, newText.length - suffix));
+    push(op, -(oldText.length - prefix - suffix));
+    push(op, suffix);
+    return op;
+  }
+
+  // Combine two consecutive operations (b applies to the result of a) into one
+  function compose(a, b) {
+    if (targetLength(a) !== baseLength(b)) {
+      throw new Error('Cannot compose operations: lengths do not match');
+    }
+
+    const result = [];
+    let i1 = 0;
+    let i2 = 0;
+    let op1 = a[i1++];
+    let op2 = b[i2++];
+
+    while (op1 !== undefined || op2 !== undefined) {
+      if (isDelete(op1)) {
+        push(result, op1);
+        op1 = a[i1++];
+        continue;
+      }
+      if (isInsert(op2)) {
+        push(result, op2);
+        op2 = b[i2++];
+        continue;
+      }
+      if (op1 === undefined || op2 === undefined) {
+        throw new Error('Cannot compose operations: lengths do not match');
+      }
+
+      if (isRetain(op1) && isRetain(op2)) {
+        const length = Math.min(op1, op2);
+        push(result, length);
+        op1 = op1 === length ? a[i1++] : op1 - length;
+        op2 = op2 === length ? b[i2++] : op2 - length;
+      } else if (isInsert(op1) && isDelete(op2)) {
+        // Text inserted by a and deleted by b never appears
+        const length = Math.min(op1.length, -op2);
+        op1 = op1.length === length ? a[i1++] : op1.slice(length);
+        op2 = -op2 === length ? b[i2++] : op2 + length;
+      } else if (isInsert(op1) && isRetain(op2)) {
+        const length = Math.min(op1.length, op2);
+        push(result, op1.slice(0, length));
+        op1 = op1.length === length ? a[i1++] : op1.slice(length);
+        op2 = op2 === length ? b[i2++] : op2 - length;
+      } else {
+        // op1 retains, op2 deletes
+        const length = Math.min(op1, -op2);
+        push(result, -length);
+        op1 = op1 === length ? a[i1++] : op1 - length;
+        op2 = -op2 === length ? b[i2++] : op2 + length;
+      }
+    }
+
+    return result;
+  }
+
+  // Given two operations made concurrently on the same document, return [a', b'] such
+  // that applying a then b' gives the same result as b then a'. When both insert at the
+  // same place, a's text comes first.
+  function transform(a, b) {
+    if (baseLength(a) !== baseLength(b)) {
+      throw new Error('Cannot transform operations: lengths do not match');
+    }
+
+    const aPrime = [];
+    const bPrime = [];
+    let i1 = 0;
+    let i2 = 0;
+    let op1 = a[i1++];
+    let op2 = b[i2++];
+
+    while (op1 !== undefined || op2 !== undefined) {
+      if (isInsert(op1)) {
+        push(aPrime, op1);
+        push(bPrime, op1.length);
+        op1 = a[i1++];
+        continue;
+      }
+      if (isInsert(op2)) {
+        push(aPrime, op2.length);
+        push(bPrime, op2);
+        op2 = b[i2++];
+        continue;
+      }
+      if (op1 === undefined || op2 === undefined) {
+        throw new Error('Cannot transform operations: lengths do not match');
+      }
+
+      const length = Math.min(Math.abs(op1), Math.abs(op2));
+      if (isRetain(op1) && isRetain(op2)) {
+        push(aPrime, length);
+        push(bPrime, length);
+      } else if (isDelete(op1) && isRetain(op2)) {
+        push(aPrime, -length);
+      } else if (isRetain(op1) && isDelete(op2)) {
+        push(bPrime, -length);
+      }
+      // When both delete the same text neither transformed operation needs to
+
+      op1 = Math.abs(op1) === length ? a[i1++] : op1 - Math.sign(op1) * length;
+      op2 = Math.abs(op2) === length ? b[i2++] : op2 - Math.sign(op2) * length;
+    }
+
+    return [aPrime, bPrime];
+  }
+
+  // Move a cursor position so it stays on the same text after an operation
+  function transformIndex(index, op) {
+    let newIndex = index;
+    let position = 0;
+
+    for (const component of op) {
+      if (position > index) break;
+      if (isRetain(component)) {
+        position += component;
+      } else if (isInsert(component)) {
+        newIndex += component.length;
+      } else {
+        newIndex -= Math.min(index - position, -component);
+        position -= component;
+      }
+    }
+    return newIndex;
+  }
+
+  function transformSelection(selection, op) {
+    return {
+      start: transformIndex(selection.start, op),
+      end: transformIndex(selection.end, op)
+    };
+  }
+
+  exports.isValid = isValid;
+  exports.baseLength = baseLength;
+  exports.targetLength = targetLength;
+  exports.apply = apply;
+  exports.fromDiff = fromDiff;
+  exports.compose = compose;
+  exports.transform = transform;
+  exports.transformIndex = transformIndex;
+  exports.transformSelection = transformSelection;
+})(typeof module !== 'undefined' ? module.exports : (window.TextOT = {}));
@@ -0,0 +1,70 @@
+const { pool } = require('./db');
+
+// Each user can store up to STORAGE_QUOTA_MB of attachments (0 for no limit), unless
+// users.storage_quota_bytes overrides it for them. Usage is the total size of the
+// attachments on the notes they own, including notes in the trash until they are purged.
+
+const configuredQuotaMb = parseInt(process.env.STORAGE_QUOTA_MB);
+const DEFAULT_QUOTA_MB = Number.isNaN(configuredQuotaMb) ? 1024 : configuredQuotaMb;
+const DEFAULT_QUOTA_BYTES = DEFAULT_QUOTA_MB > 0 ? DEFAULT_QUOTA_MB * 1024 * 1024 : null;
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
+}
+
+// A user's bytes used and quota (null when unlimited). Pass a transaction client to
+// count attachments it has added but not committed yet.
+async function getStorageUsage(userId, db = pool) {
+  const result = await db.query(
+    `SELECT u.storage_quota_bytes,
+            (SELECT COALESCE(SUM(a.file_size), 0)::bigint FROM note_attachments a JOIN notes n ON n.id = a.note_id WHERE n.user_id = u.id) AS bytes_used
+     FROM users u
+     WHERE u.id = $1`,
+    [userId]
+  );
+  const row = result.rows[0];
+  const override = row && row.storage_quota_bytes !== null ? Number(row.storage_quota_bytes) : null;
+
+  return {
+    bytesUsed: row ? Number(row.bytes_used) : 0,
+    quotaBytes: override !== null ? override : DEFAULT_QUOTA_BYTES
+  };
+}
+
+// Check that a user has room for incomingBytes more. Returns null if so, otherwise a
+// 413 rejection ({ status, error }) like checkUpload's.
+async function checkStorageQuota(userId, incomingBytes, db = pool) {
+  if (incomingBytes <= 0) return null;
+
+  const { bytesUsed, quotaBytes } = await getStorageUsage(userId, db);
+  if (quotaBytes === null || bytesUsed + incomingBytes <= quotaBytes) {
+    return null;
+  }
+
+  const remaining = Math.max(quotaBytes - bytesUsed, 0);
+  return {
+    status: 413,
+    error: `Storage quota exceeded: the upload needs ${formatBytes(incomingBytes)}, but only ${formatBytes(remaining)} of the ${formatBytes(quotaBytes)} quota is left`
+  };
+}
+
+// checkStorageQuota for a transaction that is about to add attachments. The user's row is
+// locked until the transaction ends, so parallel uploads are checked one after another
+// instead of each passing on the same usage. (NO KEY UPDATE, so inserting notes that
+// reference the user isn't blocked.)
+async function reserveStorageQuota(userId, incomingBytes, client) {
+  if (incomingBytes <= 0) return null;
+
+  await client.query('SELECT id FROM users WHERE id = $1 FOR NO KEY UPDATE', [userId]);
+  return checkStorageQuota(userId, incomingBytes, client);
+}
+
+module.exports = {
+  DEFAULT_QUOTA_BYTES,
+  getStorageUsage,
+  checkStorageQuota,
+  reserveStorageQuota
+};
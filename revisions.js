@@ -0,0 +1,59 @@
+const { pool } = require('./db');
+
+// Run fn with the note's row locked, so revisions of one note are numbered one at a time
+// (concurrent saves would otherwise pick the same next revision_number). With a client
+// that is already in a transaction the lock is taken in that transaction.
+async function withNoteLock(noteId, db, fn) {
+  if (db !== pool) {
+    await db.query('SELECT id FROM notes WHERE id = $1 FOR UPDATE', [noteId]);
+    return fn(db);
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query('SELECT id FROM notes WHERE id = $1 FOR UPDATE', [noteId]);
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK').catch(err => console.error('Error rolling back revision:', err));
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function insertRevision(db, noteId, userId, title, content, restoredFrom) {
+  const result = await db.query(
+    `INSERT INTO note_revisions (note_id, revision_number, title, content, created_by, restored_from)
+     SELECT $1, COALESCE(MAX(revision_number), 0) + 1, $2, $3, $4, $5
+     FROM note_revisions WHERE note_id = $1
+     RETURNING id, revision_number, title, created_by, restored_from, created_at`,
+    [noteId, title, content, userId, restoredFrom]
+  );
+  return result.rows[0];
+}
+
+// Record a snapshot of a note as its next revision
+function recordRevision(noteId, userId, title, content, restoredFrom = null, db = pool) {
+  return withNoteLock(noteId, db, client => insertRevision(client, noteId, userId, title, content, restoredFrom));
+}
+
+// Notes created before revision history existed get their current state saved first
+function ensureBaselineRevision(note, db = pool) {
+  return withNoteLock(note.id, db, async client => {
+    const existing = await client.query(
+      'SELECT 1 FROM note_revisions WHERE note_id = $1 LIMIT 1',
+      [note.id]
+    );
+    if (existing.rows.length === 0) {
+      await insertRevision(client, note.id, note.user_id, note.title, note.content, null);
+    }
+  });
+}
+
+module.exports = {
+  recordRevision,
+  ensureBaselineRevision
+};
@@ -0,0 +1,347 @@
+const express = require('express');
+const { pool } = require('../db');
+const { requireAdmin } = require('../auth');
+const { deleteNotesPermanently } = require('../trash');
+const { DEFAULT_QUOTA_BYTES } = require('../quota');
+
+const router = express.Router();
+
+// Every route here is admin-only
+router.use(requireAdmin);
+
+// Record an admin action in the audit log
+async function recordAudit(adminId, action, targetType, targetId, details = {}) {
+  await pool.query(
+    'INSERT INTO admin_audit_log (admin_id, action, target_type, target_id, details) VALUES ($1, $2, $3, $4, $5)',
+    [adminId, action, targetType, targetId, details]
+  );
+}
+
+// Sign a user out everywhere; returns the number of sessions ended
+async function endUserSessions(userId) {
+  const result = await pool.query(
+    `DELETE FROM user_sessions WHERE sess->>'userId' = $1`,
+    [String(userId)]
+  );
+  return result.rowCount;
+}
+
+// Look up a user for an admin action; returns null if they don't exist
+async function getTargetUser(userId) {
+  const result = await pool.query(
+    'SELECT id, username, role, suspended_at FROM users WHERE id = $1',
+    [userId]
+  );
+  return result.rows[0] || null;
+}
+
+// List users with note and storage counts (?q= filters by username)
+router.get('/users', async (req, res) => {
+  try {
+    const values = [];
+    let where = '';
+    if (req.query.q) {
+      values.push(`%${String(req.query.q).replace(/[\\%_]/g, '\\$&')}%`);
+      where = `WHERE u.username ILIKE $${values.length}`;
+    }
+
+    const result = await pool.query(
+      `SELECT u.id, u.username, u.role, u.created_at, u.suspended_at, u.suspension_reason, u.storage_quota_bytes,
+              (SELECT COUNT(*)::int FROM notes n WHERE n.user_id = u.id AND n.deleted_at IS NULL) AS note_count,
+              (SELECT COUNT(*)::int FROM notes n WHERE n.user_id = u.id AND n.is_public = true AND n.deleted_at IS NULL) AS public_note_count,
+              (SELECT COUNT(*)::int FROM note_attachments a JOIN notes n ON n.id = a.note_id WHERE n.user_id = u.id) AS attachment_count,
+              (SELECT COALESCE(SUM(a.file_size), 0)::bigint FROM note_attachments a JOIN notes n ON n.id = a.note_id WHERE n.user_id = u.id) AS storage_bytes
+       FROM users u
+       ${where}
+       ORDER BY u.username ASC`,
+      values
+    );
+
+    res.json({
+      users: result.rows.map(user => {
+        const quotaOverride = user.storage_quota_bytes === null ? null : Number(user.storage_quota_bytes);
+        return {
+          ...user,
+          storage_bytes: Number(user.storage_bytes),
+          storage_quota_bytes: quotaOverride,
+          // The quota that applies: the override, or the default (null when unlimited)
+          quota_bytes: quotaOverride === null ? DEFAULT_QUOTA_BYTES : quotaOverride
+        };
+      })
+    });
+  } catch (error) {
+    console.error('Error fetching users for admin:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Suspend an account: it is signed out everywhere and refused at login ({ reason } optional)
+router.post('/users/:id/suspend', async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+
+    if (isNaN(userId)) {
+      return res.status(400).json({ error: 'Invalid user ID' });
+    }
+
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+    if (reason.length > 500) {
+      return res.status(400).json({ error: 'Reason must be 500 characters or less' });
+    }
+
+    const user = await getTargetUser(userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (user.role === 'admin') {
+      return res.status(400).json({ error: 'Admin accounts cannot be suspended' });
+    }
+    if (user.suspended_at) {
+      return res.status(400).json({ error: 'User is already suspended' });
+    }
+
+    await pool.query(
+      'UPDATE users SET suspended_at = CURRENT_TIMESTAMP, suspension_reason = $1 WHERE id = $2',
+      [reason || null, userId]
+    );
+    const sessionsEnded = await endUserSessions(userId);
+    await recordAudit(req.session.userId, 'suspend_user', 'user', userId, { username: user.username, reason: reason || null });
+
+    res.json({
+      message: `${user.username} has been suspended`,
+      sessions_ended: sessionsEnded
+    });
+  } catch (error) {
+    console.error('Error suspending user:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Lift a suspension
+router.post('/users/:id/unsuspend', async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+
+    if (isNaN(userId)) {
+      return res.status(400).json({ error: 'Invalid user ID' });
+    }
+
+    const user = await getTargetUser(userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (!user.suspended_at) {
+      return res.status(400).json({ error: 'User is not suspended' });
+    }
+
+    await pool.query(
+      'UPDATE users SET suspended_at = NULL, suspension_reason = NULL WHERE id = $1',
+      [userId]
+    );
+    await recordAudit(req.session.userId, 'unsuspend_user', 'user', userId, { username: user.username });
+
+    res.json({
+      message: `${user.username} has been unsuspended`
+    });
+  } catch (error) {
+    console.error('Error unsuspending user:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+const MAX_QUOTA_MB = 1024 * 1024; // 1TB
+
+// Override a user's attachment storage quota ({ quota_mb }, or null to use the default).
+// Files already stored are kept even if they are over the new quota.
+router.put('/users/:id/quota', async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+
+    if (isNaN(userId)) {
+      return res.status(400).json({ error: 'Invalid user ID' });
+    }
+
+    const quotaMb = req.body.quota_mb;
+    if (quotaMb !== null && (!Number.isInteger(quotaMb) || quotaMb < 0 || quotaMb > MAX_QUOTA_MB)) {
+      return res.status(400).json({ error: `quota_mb must be a whole number from 0 to ${MAX_QUOTA_MB}, or null for the default` });
+    }
+
+    const user = await getTargetUser(userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const quotaBytes = quotaMb === null ? null : quotaMb * 1024 * 1024;
+    await pool.query(
+      'UPDATE users SET storage_quota_bytes = $1 WHERE id = $2',
+      [quotaBytes, userId]
+    );
+    await recordAudit(req.session.userId, 'set_storage_quota', 'user', userId, { username: user.username, quota_mb: quotaMb });
+
+    res.json({
+      message: quotaMb === null
+        ? `${user.username} now has the default storage quota`
+        : `${user.username}'s storage quota is now ${quotaMb} MB`,
+      storage_quota_bytes: quotaBytes
+    });
+  } catch (error) {
+    console.error('Error setting storage quota:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Sign a user out of every session
+router.post('/users/:id/logout', async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+
+    if (isNaN(userId)) {
+      return res.status(400).json({ error: 'Invalid user ID' });
+    }
+
+    const user = await getTargetUser(userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const sessionsEnded = await endUserSessions(userId);
+    await recordAudit(req.session.userId, 'force_logout', 'user', userId, { username: user.username, sessions_ended: sessionsEnded });
+
+    res.json({
+      message: `${user.username} has been signed out`,
+      sessions_ended: sessionsEnded
+    });
+  } catch (error) {
+    console.error('Error forcing logout:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// List public notes for moderation, most recently updated first (?user_id= to filter)
+router.get('/notes', async (req, res) => {
+  try {
+    const values = [];
+    const conditions = ['n.is_public = true', 'n.deleted_at IS NULL'];
+    if (req.query.user_id !== undefined) {
+      const userId = parseInt(req.query.user_id);
+      if (isNaN(userId)) {
+        return res.status(400).json({ error: 'Invalid user ID' });
+      }
+      values.push(userId);
+      conditions.push(`n.user_id = $${values.length}`);
+    }
+
+    const result = await pool.query(
+      `SELECT n.id, n.title, LEFT(n.content, 200) AS excerpt, n.user_id, u.username, n.created_at, n.updated_at
+       FROM notes n
+       JOIN users u ON u.id = n.user_id
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY n.updated_at DESC
+       LIMIT 100`,
+      values
+    );
+
+    res.json({
+      notes: result.rows
+    });
+  } catch (error) {
+    console.error('Error fetching public notes for admin:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Make a public note private again
+router.post('/notes/:id/unpublish', async (req, res) => {
+  try {
+    const noteId = parseInt(req.params.id);
+
+    if (isNaN(noteId)) {
+      return res.status(400).json({ error: 'Invalid note ID' });
+    }
+
+    const result = await pool.query(
+      `UPDATE notes SET is_public = false, version = version + 1
+       WHERE id = $1 AND is_public = true AND deleted_at IS NULL
+       RETURNING id, title, user_id`,
+      [noteId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Public note not found' });
+    }
+
+    const note = result.rows[0];
+    await recordAudit(req.session.userId, 'unpublish_note', 'note', noteId, { title: note.title, owner_id: note.user_id });
+
+    res.json({
+      message: 'Note unpublished successfully'
+    });
+  } catch (error) {
+    console.error('Error unpublishing note:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete a public note and its attachments
+router.delete('/notes/:id', async (req, res) => {
+  try {
+    const noteId = parseInt(req.params.id);
+
+    if (isNaN(noteId)) {
+      return res.status(400).json({ error: 'Invalid note ID' });
+    }
+
+    const result = await pool.query(
+      'SELECT id, title, user_id FROM notes WHERE id = $1 AND is_public = true AND deleted_at IS NULL',
+      [noteId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Public note not found' });
+    }
+
+    // Moderation deletes skip the owner's trash
+    await deleteNotesPermanently([noteId]);
+
+    const note = result.rows[0];
+    await recordAudit(req.session.userId, 'delete_note', 'note', noteId, { title: note.title, owner_id: note.user_id });
+
+    res.json({
+      message: 'Note deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting note as admin:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get the audit log, newest first (?limit=, default 100, max 500)
+router.get('/audit-log', async (req, res) => {
+  try {
+    let limit = 100;
+    if (req.query.limit !== undefined) {
+      limit = parseInt(req.query.limit);
+      if (isNaN(limit) || limit < 1 || limit > 500) {
+        return res.status(400).json({ error: 'limit must be between 1 and 500' });
+      }
+    }
+
+    const result = await pool.query(
+      `SELECT l.id, l.admin_id, u.username AS admin_username, l.action, l.target_type, l.target_id, l.details, l.created_at
+       FROM admin_audit_log l
+       LEFT JOIN users u ON u.id = l.admin_id
+       ORDER BY l.created_at DESC, l.id DESC
+       LIMIT $1`,
+      [limit]
+    );
+
+    res.json({
+      entries: result.rows
+    });
+  } catch (error) {
+    console.error('Error fetching audit log:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
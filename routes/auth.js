@@ -1,9 +1,109 @@
 const express = require('express');
 const bcrypt = require('bcrypt');
+const crypto = require('crypto');
+const { authenticator } = require('otplib');
 const { pool } = require('../db');
+const { deleteStoredFile, avatarKey } = require('../storage');
+const { TOKEN_SCOPES, generateToken, hashToken, requireSession } = require('../auth');
 
 const router = express.Router();
 
+// Accept codes from the previous and next 30-second step to allow for clock drift
+authenticator.options = { window: 1 };
+
+const TOTP_ISSUER = 'VibeNotes';
+const RECOVERY_CODE_COUNT = 10;
+const PENDING_LOGIN_TTL_MS = 5 * 60 * 1000; // 5 minutes to enter the second factor
+const PENDING_LOGIN_MAX_ATTEMPTS = 5;
+
+function hashRecoveryCode(code) {
+  return crypto.createHash('sha256').update(code).digest('hex');
+}
+
+// Recovery codes look like "3f9a2-c81d0"; spaces, dashes and case are ignored when checking
+function normalizeRecoveryCode(code) {
+  return String(code).toLowerCase().replace(/[^0-9a-f]/g, '');
+}
+
+// Replace a user's recovery codes with a fresh set; returns the codes in plain text
+async function generateRecoveryCodes(userId) {
+  const codes = [];
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+    const hex = crypto.randomBytes(5).toString('hex');
+    codes.push(`${hex.slice(0, 5)}-${hex.slice(5)}`);
+  }
+
+  await pool.query('DELETE FROM recovery_codes WHERE user_id = $1', [userId]);
+  await pool.query(
+    'INSERT INTO recovery_codes (user_id, code_hash) SELECT $1, unnest($2::text[])',
+    [userId, codes.map(code => hashRecoveryCode(normalizeRecoveryCode(code)))]
+  );
+
+  return codes;
+}
+
+// Replace the session with a new one (and a new ID), so an ID that was known before the
+// user logged in is no use afterwards
+function regenerateSession(req) {
+  return new Promise((resolve, reject) => {
+    req.session.regenerate(err => (err ? reject(err) : resolve()));
+  });
+}
+
+// Log a user in on a fresh session, recording details shown in the session list
+async function startUserSession(req, user) {
+  await regenerateSession(req);
+  req.session.userId = user.id;
+  req.session.username = user.username;
+  req.session.loginAt = new Date().toISOString();
+  req.session.userAgent = (req.get('User-Agent') || '').slice(0, 255);
+  req.session.ip = req.ip;
+}
+
+// Check an authenticator code and use it up. Each code's time step is accepted at most
+// once per user, so a code that has been seen can't be replayed while it is still valid.
+async function useTotpCode(userId, secret, code) {
+  if (!code || !secret) return false;
+
+  const now = Date.now();
+  const totp = authenticator.clone({ epoch: now });
+  const delta = totp.checkDelta(String(code).replace(/\s/g, ''), secret);
+  if (delta === null) return false;
+
+  const step = Math.floor(now / 1000 / totp.allOptions().step) + delta;
+  const result = await pool.query(
+    `UPDATE users SET totp_last_step = $2
+     WHERE id = $1 AND (totp_last_step IS NULL OR totp_last_step < $2)
+     RETURNING id`,
+    [userId, step]
+  );
+  return result.rows.length > 0;
+}
+
+// Sessions are identified to clients by a hash of the session ID, never the ID itself
+function sessionHandle(sid) {
+  return crypto.createHash('sha256').update(sid).digest('hex').slice(0, 32);
+}
+
+// Validate a new password; returns an error message or null
+function validatePassword(password) {
+  if (typeof password !== 'string' || password.length < 6) {
+    return 'Password must be at least 6 characters long';
+  }
+  if (password.length > 128) {
+    return 'Password must be 128 characters or less';
+  }
+  return null;
+}
+
+// Check the current user's password before a sensitive account change
+async function verifyPassword(userId, password) {
+  if (!password) return false;
+  const result = await pool.query('SELECT password_hash FROM users WHERE id = $1', [userId]);
+  if (result.rows.length === 0) return false;
+  return bcrypt.compare(password, result.rows[0].password_hash);
+}
+
 // Register endpoint
 router.post('/register', async (req, res) => {
   try {
@@ -27,11 +127,9 @@ router.post('/register', async (req, res) => {
       return res.status(400).json({ error: 'Username can only contain letters, numbers, and underscores' });
     }
 
-    if (password.length < 6) {
-      return res.status(400).json({ error: 'Password must be at least 6 characters long' });
-    }
-    if (password.length > 128) {
-      return res.status(400).json({ error: 'Password must be 128 characters or less' });
+    const passwordError = validatePassword(password);
+    if (passwordError) {
+      return res.status(400).json({ error: passwordError });
     }
 
     // Check if username already exists
@@ -55,8 +153,7 @@ router.post('/register', async (req, res) => {
     );
 
     // Set session
-    req.session.userId = result.rows[0].id;
-    req.session.username = result.rows[0].username;
+    await startUserSession(req, result.rows[0]);
 
     res.status(201).json({
       message: 'User registered successfully',
@@ -86,7 +183,7 @@ router.post('/login', async (req, res) => {
 
     // Find user
     const result = await pool.query(
-      'SELECT id, username, password_hash FROM users WHERE username = $1',
+      'SELECT id, username, password_hash, totp_enabled, suspended_at FROM users WHERE username = $1',
       [sanitizedUsername]
     );
 
@@ -103,9 +200,27 @@ router.post('/login', async (req, res) => {
       return res.status(401).json({ error: 'Invalid username or password' });
     }
 
+    if (user.suspended_at) {
+      return res.status(403).json({ error: 'This account has been suspended' });
+    }
+
+    // With 2FA on, the password only opens a partial session; POST /login/2fa completes it
+    if (user.totp_enabled) {
+      await regenerateSession(req);
+      req.session.pendingLogin = {
+        userId: user.id,
+        username: user.username,
+        startedAt: Date.now(),
+        attempts: 0
+      };
+      return res.json({
+        message: 'Enter the code from your authenticator app or a recovery code',
+        two_factor_required: true
+      });
+    }
+
     // Set session
-    req.session.userId = user.id;
-    req.session.username = user.username;
+    await startUserSession(req, user);
 
     res.json({
       message: 'Login successful',
@@ -120,6 +235,75 @@ router.post('/login', async (req, res) => {
   }
 });
 
+// Second login step: { code } from the authenticator app or a one-time { recovery_code }
+router.post('/login/2fa', async (req, res) => {
+  try {
+    const pending = req.session.pendingLogin;
+    if (!pending || Date.now() - pending.startedAt > PENDING_LOGIN_TTL_MS) {
+      delete req.session.pendingLogin;
+      return res.status(401).json({ error: 'Your login has expired. Please enter your username and password again.' });
+    }
+
+    const { code, recovery_code } = req.body;
+    if (!code && !recovery_code) {
+      return res.status(400).json({ error: 'An authentication code or recovery code is required' });
+    }
+
+    let verified = false;
+    let usedRecoveryCode = false;
+
+    if (code) {
+      const result = await pool.query(
+        'SELECT totp_secret FROM users WHERE id = $1 AND totp_enabled = true',
+        [pending.userId]
+      );
+      verified = result.rows.length > 0 && await useTotpCode(pending.userId, result.rows[0].totp_secret, code);
+    } else {
+      const result = await pool.query(
+        `UPDATE recovery_codes SET used_at = CURRENT_TIMESTAMP
+         WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+         RETURNING id`,
+        [pending.userId, hashRecoveryCode(normalizeRecoveryCode(recovery_code))]
+      );
+      verified = result.rows.length > 0;
+      usedRecoveryCode = verified;
+    }
+
+    if (!verified) {
+      pending.attempts++;
+      if (pending.attempts >= PENDING_LOGIN_MAX_ATTEMPTS) {
+        delete req.session.pendingLogin;
+        return res.status(401).json({ error: 'Too many invalid codes. Please log in again.' });
+      }
+      return res.status(401).json({ error: 'Invalid code' });
+    }
+
+    // Set session
+    await startUserSession(req, { id: pending.userId, username: pending.username });
+
+    let remainingRecoveryCodes;
+    if (usedRecoveryCode) {
+      const countResult = await pool.query(
+        'SELECT COUNT(*)::int AS remaining FROM recovery_codes WHERE user_id = $1 AND used_at IS NULL',
+        [pending.userId]
+      );
+      remainingRecoveryCodes = countResult.rows[0].remaining;
+    }
+
+    res.json({
+      message: 'Login successful',
+      user: {
+        id: pending.userId,
+        username: pending.username
+      },
+      ...(usedRecoveryCode ? { recovery_codes_remaining: remainingRecoveryCodes } : {})
+    });
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Logout endpoint
 router.post('/logout', (req, res) => {
   req.session.destroy((err) => {
@@ -131,17 +315,440 @@ router.post('/logout', (req, res) => {
 });
 
 // Check if user is logged in
-router.get('/me', (req, res) => {
-  if (req.session.userId) {
+router.get('/me', async (req, res) => {
+  if (!req.session.userId) {
+    return res.json({ authenticated: false });
+  }
+
+  try {
+    const result = await pool.query(
+      'SELECT role, suspended_at FROM users WHERE id = $1',
+      [req.session.userId]
+    );
+
+    // Deleted or suspended accounts are treated as logged out
+    if (result.rows.length === 0 || result.rows[0].suspended_at) {
+      return res.json({ authenticated: false });
+    }
+
     res.json({
       authenticated: true,
       user: {
         id: req.session.userId,
-        username: req.session.username
+        username: req.session.username,
+        role: result.rows[0].role
       }
     });
-  } else {
-    res.json({ authenticated: false });
+  } catch (error) {
+    console.error('Error checking session:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Change the password (requires the current one). Signs out every other session.
+router.post('/password', requireSession, async (req, res) => {
+  try {
+    const { current_password, new_password } = req.body;
+
+    if (!current_password || !new_password) {
+      return res.status(400).json({ error: 'Current password and new password are required' });
+    }
+
+    const passwordError = validatePassword(new_password);
+    if (passwordError) {
+      return res.status(400).json({ error: passwordError });
+    }
+
+    if (!(await verifyPassword(req.session.userId, current_password))) {
+      return res.status(401).json({ error: 'Current password is incorrect' });
+    }
+
+    const saltRounds = 10;
+    const passwordHash = await bcrypt.hash(new_password, saltRounds);
+    await pool.query(
+      'UPDATE users SET password_hash = $1 WHERE id = $2',
+      [passwordHash, req.session.userId]
+    );
+
+    const signedOut = await pool.query(
+      `DELETE FROM user_sessions WHERE sess->>'userId' = $1 AND sid <> $2`,
+      [String(req.session.userId), req.sessionID]
+    );
+
+    res.json({
+      message: 'Password changed successfully',
+      sessions_signed_out: signedOut.rowCount
+    });
+  } catch (error) {
+    console.error('Error changing password:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete the account with all of its notes and files. Requires the password,
+// and an authenticator code when 2FA is on.
+router.delete('/account', requireSession, async (req, res) => {
+  try {
+    const userId = req.session.userId;
+    const { password, code } = req.body;
+
+    if (!(await verifyPassword(userId, password))) {
+      return res.status(401).json({ error: 'Incorrect password' });
+    }
+
+    const userResult = await pool.query(
+      'SELECT avatar_path, avatar_thumbnail_path, totp_enabled, totp_secret FROM users WHERE id = $1',
+      [userId]
+    );
+    const user = userResult.rows[0];
+    if (user.totp_enabled && !(await useTotpCode(userId, user.totp_secret, code))) {
+      return res.status(401).json({ error: 'A valid authentication code is required' });
+    }
+
+    const attachmentsResult = await pool.query(
+      `SELECT a.file_path, a.thumbnail_path FROM note_attachments a
+       JOIN notes n ON n.id = a.note_id
+       WHERE n.user_id = $1`,
+      [userId]
+    );
+
+    // Notes, attachments, tags, notebooks, shares and tokens go with the user (ON DELETE CASCADE)
+    await pool.query('DELETE FROM users WHERE id = $1', [userId]);
+    await pool.query(`DELETE FROM user_sessions WHERE sess->>'userId' = $1`, [String(userId)]);
+
+    // Remove files only once the rows are gone
+    for (const attachment of attachmentsResult.rows) {
+      await deleteStoredFile(attachment.file_path);
+      await deleteStoredFile(attachment.thumbnail_path);
+    }
+    await deleteStoredFile(avatarKey(user.avatar_path));
+    await deleteStoredFile(avatarKey(user.avatar_thumbnail_path));
+
+    req.session.destroy((err) => {
+      if (err) {
+        console.error('Error destroying session:', err);
+      }
+      res.json({ message: 'Account deleted successfully' });
+    });
+  } catch (error) {
+    console.error('Error deleting account:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// List the current user's active sessions
+router.get('/sessions', requireSession, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT sid, sess, expire FROM user_sessions
+       WHERE sess->>'userId' = $1 AND expire > CURRENT_TIMESTAMP
+       ORDER BY sess->>'loginAt' DESC NULLS LAST`,
+      [String(req.session.userId)]
+    );
+
+    res.json({
+      sessions: result.rows.map(row => ({
+        id: sessionHandle(row.sid),
+        current: row.sid === req.sessionID,
+        login_at: row.sess.loginAt || null,
+        user_agent: row.sess.userAgent || null,
+        ip: row.sess.ip || null,
+        expires_at: row.expire
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching sessions:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Sign out every session except the current one
+router.delete('/sessions', requireSession, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `DELETE FROM user_sessions WHERE sess->>'userId' = $1 AND sid <> $2`,
+      [String(req.session.userId), req.sessionID]
+    );
+
+    res.json({
+      message: 'Other sessions signed out',
+      sessions_signed_out: result.rowCount
+    });
+  } catch (error) {
+    console.error('Error signing out sessions:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Sign out one of the user's other sessions (use /logout for the current one)
+router.delete('/sessions/:id', requireSession, async (req, res) => {
+  try {
+    if (req.params.id === sessionHandle(req.sessionID)) {
+      return res.status(400).json({ error: 'Use logout to end the current session' });
+    }
+
+    const result = await pool.query(
+      `SELECT sid FROM user_sessions WHERE sess->>'userId' = $1`,
+      [String(req.session.userId)]
+    );
+    const target = result.rows.find(row => sessionHandle(row.sid) === req.params.id);
+
+    if (!target) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    await pool.query('DELETE FROM user_sessions WHERE sid = $1', [target.sid]);
+
+    res.json({
+      message: 'Session signed out'
+    });
+  } catch (error) {
+    console.error('Error signing out session:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get the current user's 2FA status
+router.get('/2fa', requireSession, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT u.totp_enabled,
+              (SELECT COUNT(*)::int FROM recovery_codes rc WHERE rc.user_id = u.id AND rc.used_at IS NULL) AS recovery_codes_remaining
+       FROM users u
+       WHERE u.id = $1`,
+      [req.session.userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({
+      enabled: result.rows[0].totp_enabled === true,
+      recovery_codes_remaining: result.rows[0].totp_enabled ? result.rows[0].recovery_codes_remaining : 0
+    });
+  } catch (error) {
+    console.error('Error fetching 2FA status:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Start 2FA enrolment: generates a new secret to add to an authenticator app.
+// 2FA stays off until the secret is confirmed with POST /2fa/confirm.
+router.post('/2fa/setup', requireSession, async (req, res) => {
+  try {
+    const userResult = await pool.query(
+      'SELECT username, totp_enabled FROM users WHERE id = $1',
+      [req.session.userId]
+    );
+
+    if (userResult.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (userResult.rows[0].totp_enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = authenticator.generateSecret();
+    await pool.query(
+      'UPDATE users SET totp_secret = $1, totp_last_step = NULL WHERE id = $2',
+      [secret, req.session.userId]
+    );
+
+    res.json({
+      secret: secret,
+      otpauth_uri: authenticator.keyuri(userResult.rows[0].username, TOTP_ISSUER, secret)
+    });
+  } catch (error) {
+    console.error('Error starting 2FA setup:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Finish 2FA enrolment with a code from the authenticator app; returns the recovery codes
+router.post('/2fa/confirm', requireSession, async (req, res) => {
+  try {
+    const { code } = req.body;
+    if (!code) {
+      return res.status(400).json({ error: 'Authentication code is required' });
+    }
+
+    const userResult = await pool.query(
+      'SELECT totp_secret, totp_enabled FROM users WHERE id = $1',
+      [req.session.userId]
+    );
+
+    const user = userResult.rows[0];
+    if (!user || !user.totp_secret) {
+      return res.status(400).json({ error: 'Start two-factor setup first' });
+    }
+    if (user.totp_enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+    if (!(await useTotpCode(req.session.userId, user.totp_secret, code))) {
+      return res.status(400).json({ error: 'Invalid code. Check the time on your device and try again.' });
+    }
+
+    await pool.query('UPDATE users SET totp_enabled = true WHERE id = $1', [req.session.userId]);
+    const recoveryCodes = await generateRecoveryCodes(req.session.userId);
+
+    res.json({
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe: they will not be shown again.',
+      recovery_codes: recoveryCodes
+    });
+  } catch (error) {
+    console.error('Error confirming 2FA setup:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Turn 2FA off (requires the current password)
+router.post('/2fa/disable', requireSession, async (req, res) => {
+  try {
+    if (!(await verifyPassword(req.session.userId, req.body.password))) {
+      return res.status(401).json({ error: 'Incorrect password' });
+    }
+
+    await pool.query(
+      'UPDATE users SET totp_secret = NULL, totp_enabled = false, totp_last_step = NULL WHERE id = $1',
+      [req.session.userId]
+    );
+    await pool.query('DELETE FROM recovery_codes WHERE user_id = $1', [req.session.userId]);
+
+    res.json({
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    console.error('Error disabling 2FA:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Replace the recovery codes (requires the current password); old codes stop working
+router.post('/2fa/recovery-codes', requireSession, async (req, res) => {
+  try {
+    if (!(await verifyPassword(req.session.userId, req.body.password))) {
+      return res.status(401).json({ error: 'Incorrect password' });
+    }
+
+    const userResult = await pool.query(
+      'SELECT totp_enabled FROM users WHERE id = $1',
+      [req.session.userId]
+    );
+    if (!userResult.rows[0] || !userResult.rows[0].totp_enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+
+    const recoveryCodes = await generateRecoveryCodes(req.session.userId);
+
+    res.json({
+      message: 'New recovery codes generated. Your old codes no longer work.',
+      recovery_codes: recoveryCodes
+    });
+  } catch (error) {
+    console.error('Error regenerating recovery codes:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+const TOKEN_DEFAULT_EXPIRY_DAYS = 30;
+const TOKEN_MAX_EXPIRY_DAYS = 365;
+
+// List the current user's API tokens (the token values themselves are never returned)
+router.get('/tokens', requireSession, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT id, name, token_prefix, scopes, expires_at, last_used_at, created_at,
+              expires_at <= CURRENT_TIMESTAMP AS expired
+       FROM api_tokens
+       WHERE user_id = $1
+       ORDER BY created_at DESC`,
+      [req.session.userId]
+    );
+
+    res.json({
+      tokens: result.rows,
+      available_scopes: TOKEN_SCOPES
+    });
+  } catch (error) {
+    console.error('Error fetching API tokens:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Create an API token: { name, scopes: [...], expires_in_days }.
+// The token is only shown in this response.
+router.post('/tokens', requireSession, async (req, res) => {
+  try {
+    const { name, scopes } = req.body;
+
+    const sanitizedName = typeof name === 'string' ? name.trim() : '';
+    if (!sanitizedName) {
+      return res.status(400).json({ error: 'Token name is required' });
+    }
+    if (sanitizedName.length > 100) {
+      return res.status(400).json({ error: 'Token name must be 100 characters or less' });
+    }
+
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      return res.status(400).json({ error: 'At least one scope is required' });
+    }
+    const invalidScope = scopes.find(scope => !TOKEN_SCOPES.includes(scope));
+    if (invalidScope !== undefined) {
+      return res.status(400).json({ error: `Unknown scope: ${invalidScope}. Valid scopes are ${TOKEN_SCOPES.join(', ')}` });
+    }
+
+    let expiresInDays = TOKEN_DEFAULT_EXPIRY_DAYS;
+    if (req.body.expires_in_days !== undefined) {
+      expiresInDays = Number(req.body.expires_in_days);
+      if (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > TOKEN_MAX_EXPIRY_DAYS) {
+        return res.status(400).json({ error: `expires_in_days must be between 1 and ${TOKEN_MAX_EXPIRY_DAYS}` });
+      }
+    }
+
+    const token = generateToken();
+    const result = await pool.query(
+      `INSERT INTO api_tokens (user_id, name, token_hash, token_prefix, scopes, expires_at)
+       VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP + make_interval(days => $6))
+       RETURNING id, name, token_prefix, scopes, expires_at, last_used_at, created_at`,
+      [req.session.userId, sanitizedName, hashToken(token), token.slice(0, 10), [...new Set(scopes)], expiresInDays]
+    );
+
+    res.status(201).json({
+      message: 'Token created. Copy it now: it will not be shown again.',
+      token: token,
+      token_info: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Error creating API token:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Revoke an API token
+router.delete('/tokens/:id', requireSession, async (req, res) => {
+  try {
+    const tokenId = parseInt(req.params.id);
+
+    if (isNaN(tokenId)) {
+      return res.status(400).json({ error: 'Invalid token ID' });
+    }
+
+    const result = await pool.query(
+      'DELETE FROM api_tokens WHERE id = $1 AND user_id = $2 RETURNING id',
+      [tokenId, req.session.userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Token not found' });
+    }
+
+    res.json({
+      message: 'Token revoked successfully'
+    });
+  } catch (error) {
+    console.error('Error revoking API token:', error);
+    res.status(500).json({ error: 'Internal server error' });
   }
 });
 
@@ -0,0 +1,91 @@
+const express = require('express');
+const { pool } = require('../db');
+const { requireAuth, requireScope } = require('../auth');
+
+const router = express.Router();
+
+// Token requests need the notes:read scope
+router.use(requireScope('notes'));
+
+const FEED_DEFAULT_LIMIT = 20;
+const FEED_MAX_LIMIT = 100;
+const EXCERPT_LENGTH = 200;
+
+// Public notes created or updated by the users you follow, most recent activity first.
+// Paginated with ?limit= and the next_cursor of the previous page (?cursor=).
+router.get('/', requireAuth, async (req, res) => {
+  try {
+    let limit = FEED_DEFAULT_LIMIT;
+    if (req.query.limit !== undefined) {
+      limit = parseInt(req.query.limit);
+      if (isNaN(limit) || limit < 1 || limit > FEED_MAX_LIMIT) {
+        return res.status(400).json({ error: `limit must be between 1 and ${FEED_MAX_LIMIT}` });
+      }
+    }
+
+    const conditions = ['f.follower_id = $1', 'n.is_public = true', 'n.deleted_at IS NULL'];
+    const values = [req.session.userId];
+
+    // Keyset pagination on (updated_at, id), like the note listings
+    if (req.query.cursor) {
+      let cursor = null;
+      try {
+        cursor = JSON.parse(Buffer.from(String(req.query.cursor), 'base64url').toString('utf8'));
+      } catch (err) {
+        cursor = null;
+      }
+      if (!cursor || typeof cursor.v !== 'string' || !Number.isInteger(cursor.id)) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+      }
+      values.push(cursor.v, cursor.id);
+      conditions.push(`(n.updated_at, n.id) < ($${values.length - 1}::timestamp, $${values.length})`);
+    }
+
+    // Fetch one extra row to know whether there is another page
+    values.push(limit + 1);
+
+    const result = await pool.query(
+      `SELECT n.id, n.title, LEFT(n.content, ${EXCERPT_LENGTH}) AS excerpt, LENGTH(n.content) > ${EXCERPT_LENGTH} AS excerpt_truncated,
+              n.created_at, n.updated_at, n.updated_at > n.created_at AS was_updated,
+              u.id AS author_id, u.username AS author_username, COALESCE(u.avatar_thumbnail_path, u.avatar_path) AS author_avatar,
+              n.updated_at::text AS cursor_value
+       FROM follows f
+       JOIN notes n ON n.user_id = f.followee_id
+       JOIN users u ON u.id = n.user_id
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY n.updated_at DESC, n.id DESC
+       LIMIT $${values.length}`,
+      values
+    );
+
+    const hasMore = result.rows.length > limit;
+    const pageRows = hasMore ? result.rows.slice(0, limit) : result.rows;
+    const lastRow = pageRows[pageRows.length - 1];
+
+    res.json({
+      notes: pageRows.map(row => ({
+        id: row.id,
+        title: row.title,
+        excerpt: row.excerpt,
+        excerpt_truncated: row.excerpt_truncated,
+        created_at: row.created_at,
+        updated_at: row.updated_at,
+        activity: row.was_updated ? 'updated' : 'created',
+        author: {
+          id: row.author_id,
+          username: row.author_username,
+          avatar_path: row.author_avatar || null
+        }
+      })),
+      next_cursor: hasMore
+        ? Buffer.from(JSON.stringify({ v: lastRow.cursor_value, id: lastRow.id })).toString('base64url')
+        : null,
+      has_more: hasMore
+    });
+  } catch (error) {
+    console.error('Error fetching feed:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
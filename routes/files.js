@@ -0,0 +1,49 @@
+const express = require('express');
+const path = require('path');
+const { storage, sendStoredFile } = require('../storage');
+
+const router = express.Router();
+
+// Avatars are public, like the profile pages that show them. Their file names are
+// unique per upload, so they can be cached.
+router.get('/avatars/:filename', async (req, res) => {
+  try {
+    const filename = path.basename(req.params.filename);
+
+    await sendStoredFile(req, res, `avatars/${filename}`, {
+      contentType: path.extname(filename) || 'application/octet-stream',
+      cacheControl: 'public, max-age=86400',
+      notFoundError: 'Avatar not found'
+    });
+  } catch (error) {
+    console.error('Error fetching avatar:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Signed URLs of the local storage driver (STORAGE_REDIRECT_DOWNLOADS); other drivers
+// sign URLs that point at the storage service itself
+router.get('/files/*', async (req, res) => {
+  try {
+    if (!storage.verifySignedUrl) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    const key = req.params[0];
+    const signed = storage.verifySignedUrl(key, req.query);
+    if (!signed) {
+      return res.status(403).json({ error: 'This link is invalid or has expired' });
+    }
+
+    await sendStoredFile(req, res, key, {
+      filename: signed.filename,
+      contentType: signed.contentType,
+      cacheControl: 'private, no-cache'
+    });
+  } catch (error) {
+    console.error('Error fetching signed file:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,178 @@
+const express = require('express');
+const bcrypt = require('bcrypt');
+const { pool } = require('../db');
+const { renderMarkdown } = require('../markdown');
+const { sendAttachment, sendThumbnail } = require('../storage');
+
+const router = express.Router();
+
+// Read-only access to notes through share links, for visitors without an account.
+// Links to password-protected notes are unlocked per browser session.
+
+const TOKEN_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+// Look up a link and its note. Notes in the trash and notes of suspended accounts
+// can't be reached through links.
+async function getLink(token) {
+  if (!TOKEN_PATTERN.test(token)) return null;
+
+  const result = await pool.query(
+    `SELECT l.id AS link_id, l.password_hash, l.expires_at, l.expires_at <= CURRENT_TIMESTAMP AS expired,
+            n.id, n.title, n.content, n.created_at, n.updated_at, u.username
+     FROM share_links l
+     JOIN notes n ON n.id = l.note_id AND n.deleted_at IS NULL
+     JOIN users u ON u.id = n.user_id AND u.suspended_at IS NULL
+     WHERE l.token = $1`,
+    [token]
+  );
+  return result.rows[0] || null;
+}
+
+// Resolve the link for a request. Sends the error response and returns null if the
+// link is unknown, expired or still locked.
+async function resolveLink(req, res) {
+  const link = await getLink(req.params.token);
+
+  if (!link) {
+    res.status(404).json({ error: 'Link not found' });
+    return null;
+  }
+  if (link.expired) {
+    res.status(410).json({ error: 'This link has expired' });
+    return null;
+  }
+  if (link.password_hash && !(req.session.unlockedLinks || []).includes(link.link_id)) {
+    res.status(401).json({ error: 'This link is password protected', password_required: true });
+    return null;
+  }
+  return link;
+}
+
+// Get the shared note with its attachments; counts as a view
+router.get('/:token', async (req, res) => {
+  try {
+    const link = await resolveLink(req, res);
+    if (!link) return;
+
+    await pool.query(
+      'UPDATE share_links SET view_count = view_count + 1, last_viewed_at = CURRENT_TIMESTAMP WHERE id = $1',
+      [link.link_id]
+    );
+
+    const attachmentsResult = await pool.query(
+      'SELECT id, original_filename, file_size, mime_type, thumbnail_path, created_at FROM note_attachments WHERE note_id = $1 ORDER BY created_at ASC',
+      [link.id]
+    );
+
+    res.json({
+      note: {
+        title: link.title,
+        content: link.content,
+        rendered_html: renderMarkdown(link.content),
+        author: link.username,
+        created_at: link.created_at,
+        updated_at: link.updated_at
+      },
+      attachments: attachmentsResult.rows.map(({ thumbnail_path, ...attachment }) => ({
+        ...attachment,
+        download_url: `/api/s/${req.params.token}/attachments/${attachment.id}`,
+        thumbnail_url: thumbnail_path ? `/api/s/${req.params.token}/attachments/${attachment.id}/thumbnail` : null
+      })),
+      expires_at: link.expires_at
+    });
+  } catch (error) {
+    console.error('Error fetching shared note:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Unlock a password-protected link for this browser session
+router.post('/:token/unlock', async (req, res) => {
+  try {
+    const { password } = req.body;
+    const link = await getLink(req.params.token);
+
+    if (!link) {
+      return res.status(404).json({ error: 'Link not found' });
+    }
+    if (link.expired) {
+      return res.status(410).json({ error: 'This link has expired' });
+    }
+    if (!link.password_hash) {
+      return res.json({ message: 'This link is not password protected' });
+    }
+
+    if (typeof password !== 'string' || !(await bcrypt.compare(password, link.password_hash))) {
+      return res.status(401).json({ error: 'Incorrect password' });
+    }
+
+    const unlockedLinks = req.session.unlockedLinks || [];
+    if (!unlockedLinks.includes(link.link_id)) {
+      req.session.unlockedLinks = [...unlockedLinks, link.link_id];
+    }
+    res.json({
+      message: 'Link unlocked'
+    });
+  } catch (error) {
+    console.error('Error unlocking share link:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Download an attachment of the shared note
+router.get('/:token/attachments/:attachmentId', async (req, res) => {
+  try {
+    const attachmentId = parseInt(req.params.attachmentId);
+
+    if (isNaN(attachmentId)) {
+      return res.status(400).json({ error: 'Invalid attachment ID' });
+    }
+
+    const link = await resolveLink(req, res);
+    if (!link) return;
+
+    const attachmentResult = await pool.query(
+      'SELECT original_filename, file_path, mime_type FROM note_attachments WHERE id = $1 AND note_id = $2',
+      [attachmentId, link.id]
+    );
+
+    if (attachmentResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+
+    await sendAttachment(req, res, attachmentResult.rows[0]);
+  } catch (error) {
+    console.error('Error downloading shared attachment:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Thumbnail of an image or PDF attachment of the shared note
+router.get('/:token/attachments/:attachmentId/thumbnail', async (req, res) => {
+  try {
+    const attachmentId = parseInt(req.params.attachmentId);
+
+    if (isNaN(attachmentId)) {
+      return res.status(400).json({ error: 'Invalid attachment ID' });
+    }
+
+    const link = await resolveLink(req, res);
+    if (!link) return;
+
+    const attachmentResult = await pool.query(
+      'SELECT thumbnail_path FROM note_attachments WHERE id = $1 AND note_id = $2',
+      [attachmentId, link.id]
+    );
+
+    if (attachmentResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+
+    await sendThumbnail(req, res, attachmentResult.rows[0]);
+  } catch (error) {
+    console.error('Error fetching shared attachment thumbnail:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,314 @@
+const express = require('express');
+const { pool } = require('../db');
+const { requireAuth, requireScope } = require('../auth');
+
+const router = express.Router();
+
+// Token requests need the notes:read / notes:write scopes
+router.use(requireScope('notes'));
+
+// Validate a notebook name; returns { error } or { name }
+function validateNotebookName(name) {
+  const sanitizedName = typeof name === 'string' ? name.trim() : '';
+  if (!sanitizedName) {
+    return { error: 'Notebook name is required' };
+  }
+  if (sanitizedName.length > 100) {
+    return { error: 'Notebook name must be 100 characters or less' };
+  }
+  return { name: sanitizedName };
+}
+
+// Parse a parent_id from a request body: null for a top-level notebook, NaN if invalid
+function parseParentId(value) {
+  if (value === null || value === '' || value === 'none') return null;
+  const parentId = Number(value);
+  return Number.isInteger(parentId) ? parentId : NaN;
+}
+
+// Get a notebook if it belongs to the user
+async function getOwnedNotebook(notebookId, userId, db = pool) {
+  const result = await db.query(
+    'SELECT id, parent_id, name, created_at, updated_at FROM notebooks WHERE id = $1 AND user_id = $2',
+    [notebookId, userId]
+  );
+  return result.rows[0] || null;
+}
+
+// IDs of a notebook and all of its descendants (UNION rather than UNION ALL, so the
+// recursion stops even if the parent links ever form a cycle)
+async function getSubtreeIds(notebookId, db = pool) {
+  const result = await db.query(
+    `WITH RECURSIVE subtree AS (
+       SELECT id FROM notebooks WHERE id = $1
+       UNION
+       SELECT nb.id FROM notebooks nb JOIN subtree s ON nb.parent_id = s.id
+     )
+     SELECT id FROM subtree`,
+    [notebookId]
+  );
+  return result.rows.map(row => row.id);
+}
+
+// Get the current user's notebooks as a flat list; clients build the tree from parent_id.
+// note_count only counts notes directly in each notebook.
+router.get('/', requireAuth, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT nb.id, nb.parent_id, nb.name, nb.created_at, nb.updated_at, COUNT(n.id)::int AS note_count
+       FROM notebooks nb
+       LEFT JOIN notes n ON n.notebook_id = nb.id AND n.deleted_at IS NULL
+       WHERE nb.user_id = $1
+       GROUP BY nb.id
+       ORDER BY nb.name ASC, nb.id ASC`,
+      [req.session.userId]
+    );
+
+    res.json({
+      notebooks: result.rows
+    });
+  } catch (error) {
+    console.error('Error fetching notebooks:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Create a notebook, optionally inside another of the user's notebooks
+router.post('/', requireAuth, async (req, res) => {
+  try {
+    const userId = req.session.userId;
+
+    const validated = validateNotebookName(req.body.name);
+    if (validated.error) {
+      return res.status(400).json({ error: validated.error });
+    }
+
+    const parentId = req.body.parent_id === undefined ? null : parseParentId(req.body.parent_id);
+    if (Number.isNaN(parentId)) {
+      return res.status(400).json({ error: 'Invalid parent notebook ID' });
+    }
+    if (parentId !== null && !(await getOwnedNotebook(parentId, userId))) {
+      return res.status(404).json({ error: 'Parent notebook not found' });
+    }
+
+    const result = await pool.query(
+      'INSERT INTO notebooks (user_id, parent_id, name) VALUES ($1, $2, $3) RETURNING id, parent_id, name, created_at, updated_at',
+      [userId, parentId, validated.name]
+    );
+
+    res.status(201).json({
+      message: 'Notebook created successfully',
+      notebook: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Error creating notebook:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get a notebook with its path from the top level and its direct sub-notebooks
+router.get('/:id', requireAuth, async (req, res) => {
+  try {
+    const notebookId = parseInt(req.params.id);
+    const userId = req.session.userId;
+
+    if (isNaN(notebookId)) {
+      return res.status(400).json({ error: 'Invalid notebook ID' });
+    }
+
+    const notebook = await getOwnedNotebook(notebookId, userId);
+    if (!notebook) {
+      return res.status(404).json({ error: 'Notebook not found' });
+    }
+
+    const pathResult = await pool.query(
+      `WITH RECURSIVE ancestors AS (
+         SELECT id, parent_id, name, 0 AS depth, ARRAY[id] AS visited FROM notebooks WHERE id = $1
+         UNION ALL
+         SELECT nb.id, nb.parent_id, nb.name, a.depth + 1, a.visited || nb.id
+         FROM notebooks nb JOIN ancestors a ON nb.id = a.parent_id
+         WHERE NOT nb.id = ANY(a.visited)
+       )
+       SELECT id, name FROM ancestors ORDER BY depth DESC`,
+      [notebookId]
+    );
+
+    const childrenResult = await pool.query(
+      `SELECT nb.id, nb.parent_id, nb.name, nb.created_at, nb.updated_at, COUNT(n.id)::int AS note_count
+       FROM notebooks nb
+       LEFT JOIN notes n ON n.notebook_id = nb.id AND n.deleted_at IS NULL
+       WHERE nb.parent_id = $1
+       GROUP BY nb.id
+       ORDER BY nb.name ASC, nb.id ASC`,
+      [notebookId]
+    );
+
+    res.json({
+      notebook: notebook,
+      path: pathResult.rows,
+      children: childrenResult.rows
+    });
+  } catch (error) {
+    console.error('Error fetching notebook:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Rename a notebook and/or move it under another parent (parent_id: null for top level)
+router.put('/:id', requireAuth, async (req, res) => {
+  const notebookId = parseInt(req.params.id);
+  const userId = req.session.userId;
+
+  if (isNaN(notebookId)) {
+    return res.status(400).json({ error: 'Invalid notebook ID' });
+  }
+
+  let client = null;
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    // Lock the user's notebooks so that two concurrent moves can't both pass the
+    // subtree check below and leave the notebooks in a cycle
+    await client.query('SELECT id FROM notebooks WHERE user_id = $1 ORDER BY id FOR UPDATE', [userId]);
+
+    const notebook = await getOwnedNotebook(notebookId, userId, client);
+    if (!notebook) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Notebook not found' });
+    }
+
+    let name = notebook.name;
+    if (req.body.name !== undefined) {
+      const validated = validateNotebookName(req.body.name);
+      if (validated.error) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ error: validated.error });
+      }
+      name = validated.name;
+    }
+
+    let parentId = notebook.parent_id;
+    if (req.body.parent_id !== undefined) {
+      parentId = parseParentId(req.body.parent_id);
+      if (Number.isNaN(parentId)) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ error: 'Invalid parent notebook ID' });
+      }
+      if (parentId !== null) {
+        if (!(await getOwnedNotebook(parentId, userId, client))) {
+          await client.query('ROLLBACK');
+          return res.status(404).json({ error: 'Parent notebook not found' });
+        }
+        // A notebook can't be moved into itself or one of its own sub-notebooks
+        const subtreeIds = await getSubtreeIds(notebookId, client);
+        if (subtreeIds.includes(parentId)) {
+          await client.query('ROLLBACK');
+          return res.status(400).json({ error: 'A notebook cannot be moved inside itself' });
+        }
+      }
+    }
+
+    const result = await client.query(
+      `UPDATE notebooks SET name = $1, parent_id = $2, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $3 AND user_id = $4
+       RETURNING id, parent_id, name, created_at, updated_at`,
+      [name, parentId, notebookId, userId]
+    );
+
+    await client.query('COMMIT');
+
+    res.json({
+      message: 'Notebook updated successfully',
+      notebook: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Error updating notebook:', error);
+    if (client) {
+      await client.query('ROLLBACK').catch(err => console.error('Error rolling back notebook update:', err));
+    }
+    res.status(500).json({ error: 'Internal server error' });
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+});
+
+// Delete a notebook. ?notes=move moves its notes and sub-notebooks up to its parent
+// (or to the top level); ?notes=delete deletes it with all sub-notebooks and moves their
+// notes to the trash (restored notes come back outside any notebook).
+router.delete('/:id', requireAuth, async (req, res) => {
+  const notebookId = parseInt(req.params.id);
+  const userId = req.session.userId;
+  const mode = req.query.notes;
+
+  if (isNaN(notebookId)) {
+    return res.status(400).json({ error: 'Invalid notebook ID' });
+  }
+  if (mode !== 'move' && mode !== 'delete') {
+    return res.status(400).json({ error: 'notes must be "move" or "delete"' });
+  }
+
+  let client = null;
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    const notebook = await getOwnedNotebook(notebookId, userId, client);
+    if (!notebook) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Notebook not found' });
+    }
+
+    let affectedNotes = 0;
+
+    if (mode === 'move') {
+      const movedNotes = await client.query(
+        'UPDATE notes SET notebook_id = $1, version = version + 1 WHERE notebook_id = $2',
+        [notebook.parent_id, notebookId]
+      );
+      affectedNotes = movedNotes.rowCount;
+
+      await client.query(
+        'UPDATE notebooks SET parent_id = $1 WHERE parent_id = $2',
+        [notebook.parent_id, notebookId]
+      );
+    } else {
+      const subtreeIds = await getSubtreeIds(notebookId, client);
+
+      const trashedNotes = await client.query(
+        `UPDATE notes SET deleted_at = CURRENT_TIMESTAMP, version = version + 1
+         WHERE notebook_id = ANY($1::int[]) AND user_id = $2 AND deleted_at IS NULL`,
+        [subtreeIds, userId]
+      );
+      affectedNotes = trashedNotes.rowCount;
+    }
+
+    // Sub-notebooks that are still attached are removed by the cascade
+    await client.query(
+      'DELETE FROM notebooks WHERE id = $1 AND user_id = $2',
+      [notebookId, userId]
+    );
+
+    await client.query('COMMIT');
+
+    res.json({
+      message: 'Notebook deleted successfully',
+      notes_moved: mode === 'move' ? affectedNotes : 0,
+      notes_deleted: mode === 'delete' ? affectedNotes : 0
+    });
+  } catch (error) {
+    console.error('Error deleting notebook:', error);
+    if (client) {
+      await client.query('ROLLBACK').catch(err => console.error('Error rolling back notebook deletion:', err));
+    }
+    res.status(500).json({ error: 'Internal server error' });
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+});
+
+module.exports = router;
@@ -1,20 +1,47 @@
 const express = require('express');
 const multer = require('multer');
 const path = require('path');
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
 const fs = require('fs');
+const archiver = require('archiver');
+const { diffLines } = require('diff');
 const { pool } = require('../db');
+const { requireAuth, requireScope } = require('../auth');
+const { getNoteAccess } = require('../access');
+const { recordRevision, ensureBaselineRevision } = require('../revisions');
+const { renderMarkdown } = require('../markdown');
+const { serializeFrontMatter } = require('../frontmatter');
+const { parseImportFiles, notesFromData, MAX_IMPORT_ITEMS } = require('../importer');
+const {
+  storage,
+  uploadTempDir,
+  ensureStorageDirs,
+  tempFilePath,
+  removeTempFile,
+  storeFile,
+  deleteStoredFile,
+  lazyReadStream,
+  sendAttachment,
+  sendThumbnail
+} = require('../storage');
+const { createAttachmentThumbnail } = require('../thumbnails');
+const { checkUpload } = require('../filecheck');
+const { checkStorageQuota, reserveStorageQuota } = require('../quota');
+const { TRASH_RETENTION_DAYS, deleteNotesPermanently } = require('../trash');
 
 const router = express.Router();
 
-// Configure multer for file uploads
-const attachmentsDir = path.join(__dirname, '..', 'public', 'attachments');
-if (!fs.existsSync(attachmentsDir)) {
-  fs.mkdirSync(attachmentsDir, { recursive: true });
-}
+// Token requests need the notes:read / notes:write scopes
+router.use(requireScope('notes'));
+
+// Configure multer for file uploads. Uploads go to a temp directory to be checked, then
+// into storage (see storage.js), and are served via the download route.
+ensureStorageDirs();
 
-const storage = multer.diskStorage({
+const uploadStorage = multer.diskStorage({
   destination: function (req, file, cb) {
-    cb(null, attachmentsDir);
+    cb(null, uploadTempDir);
   },
   filename: function (req, file, cb) {
     // Generate unique filename: noteId-timestamp-originalname
@@ -27,7 +54,7 @@ const storage = multer.diskStorage({
 });
 
 const upload = multer({
-  storage: storage,
+  storage: uploadStorage,
   limits: {
     fileSize: 50 * 1024 * 1024, // 50MB limit
     files: 10
@@ -56,25 +83,126 @@ const upload = multer({
   }
 });
 
-// Middleware to check if user is authenticated
-function requireAuth(req, res, next) {
-  if (!req.session.userId) {
-    return res.status(401).json({ error: 'Authentication required' });
+// Imports (Markdown, text, JSON or ZIP files) go to the temp directory like attachments
+// and are parsed from there, within the limits in importer.js
+const importUpload = multer({
+  storage: uploadStorage,
+  limits: {
+    fileSize: 50 * 1024 * 1024, // 50MB limit
+    files: 10
+  },
+  fileFilter: function (req, file, cb) {
+    if (/\.(md|markdown|txt|json|zip)$/i.test(path.extname(file.originalname))) {
+      return cb(null, true);
+    }
+    cb(new Error('File type not allowed. Only Markdown, text, JSON and ZIP files can be imported.'));
   }
-  next();
-}
+});
 
-// Helper function to clean up uploaded files
+// Helper function to clean up uploaded files: the temp upload, and whatever was already
+// put into storage for it (see storeAttachmentFile)
 function cleanupFiles(files) {
   if (!files || !Array.isArray(files)) return;
   files.forEach(file => {
-    if (file && file.path && fs.existsSync(file.path)) {
-      try {
-        fs.unlinkSync(file.path);
-      } catch (err) {
-        console.error('Error cleaning up file:', err);
-      }
-    }
+    if (!file) return;
+    removeTempFile(file.path);
+    deleteStoredFile(file.storagePath);
+    deleteStoredFile(file.thumbnailPath);
+  });
+}
+
+// Put a checked upload into storage as an attachment, along with its thumbnail
+async function storeAttachmentFile(file) {
+  file.thumbnailPath = await createAttachmentThumbnail(file.path, file.mimetype, file.filename);
+  file.storagePath = `attachments/${file.filename}`;
+  await storeFile(file.storagePath, file.path, file.mimetype);
+}
+
+// Check the content of each uploaded file and scan it (see filecheck.js). Returns the
+// first rejection, or null if all files may be stored.
+async function checkUploadedFiles(files) {
+  for (const file of files) {
+    const rejection = await checkUpload(file.path, file.mimetype, file.originalname);
+    if (rejection) return rejection;
+  }
+  return null;
+}
+
+function totalFileSize(files) {
+  return files.reduce((total, file) => total + file.size, 0);
+}
+
+// Check that the files fit in the note owner's storage quota (see quota.js). This is an
+// early check; the transaction that inserts the attachments checks again with
+// reserveStorageQuota.
+function checkUploadQuota(ownerId, files) {
+  return checkStorageQuota(ownerId, totalFileSize(files));
+}
+
+// Insert attachment rows for stored files, returning them formatted for the response
+async function insertAttachments(noteId, files, db = pool) {
+  const attachments = [];
+  for (const file of files) {
+    const attachmentResult = await db.query(
+      'INSERT INTO note_attachments (note_id, original_filename, stored_filename, file_path, file_size, mime_type, thumbnail_path) VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING id, original_filename, stored_filename, file_path, file_size, mime_type, thumbnail_path, created_at',
+      [noteId, file.originalname, file.filename, file.storagePath, file.size, file.mimetype, file.thumbnailPath]
+    );
+    attachments.push(formatAttachment(noteId, attachmentResult.rows[0]));
+  }
+  return attachments;
+}
+
+function sendUploadRejection(res, rejection) {
+  res.status(rejection.status).json({ error: rejection.error, filename: rejection.filename });
+}
+
+// Add the access-checked download (and thumbnail) URLs to an attachment row
+function formatAttachment(noteId, attachment) {
+  return {
+    ...attachment,
+    download_url: `/api/notes/${noteId}/attachments/${attachment.id}/download`,
+    thumbnail_url: attachment.thumbnail_path ? `/api/notes/${noteId}/attachments/${attachment.id}/thumbnail` : null
+  };
+}
+
+// ETag for a version of a note. The version goes up on every change, so clients can send
+// the ETag back in If-Match to make sure they aren't overwriting changes they haven't seen.
+function noteETag(noteId, version) {
+  return `"${noteId}-${version}"`;
+}
+
+// Whether an If-Match / If-None-Match header lists the ETag ("*" matches any).
+// If-None-Match uses weak comparison, which ignores the W/ prefix.
+function headerMatchesETag(header, etag, weak = false) {
+  if (header.trim() === '*') return true;
+  const normalize = tag => (weak ? tag.trim().replace(/^W\//, '') : tag.trim());
+  return header.split(',').some(tag => normalize(tag) === normalize(etag));
+}
+
+// Whether the request's If-Match header (if any) matches the note's current ETag
+function ifMatchSatisfied(req, etag) {
+  const header = req.get('If-Match');
+  return !header || headerMatchesETag(header, etag);
+}
+
+// Refuse a stale write, sending the note as it is now so the client can merge or overwrite
+async function sendPreconditionFailed(res, noteId) {
+  const result = await pool.query(
+    `SELECT n.id, n.title, n.content, n.is_public, n.version, n.updated_at, ${NOTE_TAGS_SQL}
+     FROM notes n
+     WHERE n.id = $1 AND n.deleted_at IS NULL`,
+    [noteId]
+  );
+
+  if (result.rows.length === 0) {
+    return res.status(404).json({ error: 'Note not found' });
+  }
+
+  const note = result.rows[0];
+  res.set('ETag', noteETag(note.id, note.version));
+  res.status(412).json({
+    error: 'This note has been changed since you loaded it',
+    note: note
   });
 }
 
@@ -99,69 +227,337 @@ function handleMulterUpload(uploadMiddleware) {
   };
 }
 
+// Sanitize and validate a note's title and content (shared by create, update and import)
+function validateNoteFields(title, content) {
+  if (!title || !content || typeof title !== 'string' || typeof content !== 'string') {
+    return { error: 'Title and content are required' };
+  }
+
+  const sanitizedTitle = title.trim();
+  if (sanitizedTitle.length === 0) {
+    return { error: 'Title cannot be empty' };
+  }
+  if (sanitizedTitle.length > 255) {
+    return { error: 'Title must be 255 characters or less' };
+  }
+
+  const sanitizedContent = content.trim();
+  if (sanitizedContent.length === 0) {
+    return { error: 'Content cannot be empty' };
+  }
+  // Limit content size (e.g., 1MB of text)
+  if (sanitizedContent.length > 1000000) {
+    return { error: 'Content is too long (maximum 1MB)' };
+  }
+
+  return { title: sanitizedTitle, content: sanitizedContent };
+}
+
+// Subquery returning a note's tag names as a sorted array (expects the note aliased as n)
+const NOTE_TAGS_SQL = `COALESCE((
+  SELECT array_agg(t.name ORDER BY t.name)
+  FROM note_tags nt JOIN tags t ON t.id = nt.tag_id
+  WHERE nt.note_id = n.id
+), '{}') AS tags`;
+
+// Parse tags from a request body field (comma-separated string or repeated fields)
+function parseTags(input) {
+  const rawTags = Array.isArray(input) ? input : String(input).split(',');
+  const tags = [];
+
+  for (const rawTag of rawTags) {
+    const tag = String(rawTag).trim().toLowerCase();
+    if (tag.length === 0) continue;
+    if (tag.length > 50) {
+      return { error: 'Tags must be 50 characters or less' };
+    }
+    if (!/^[a-z0-9_-]+$/.test(tag)) {
+      return { error: 'Tags can only contain letters, numbers, hyphens, and underscores' };
+    }
+    if (!tags.includes(tag)) {
+      tags.push(tag);
+    }
+  }
+
+  if (tags.length > 20) {
+    return { error: 'A note can have at most 20 tags' };
+  }
+
+  return { tags };
+}
+
+// Parse a notebook_id from a request: null for no notebook, NaN if invalid
+function parseNotebookId(value) {
+  if (value === undefined || value === null || value === '' || value === 'none') return null;
+  const notebookId = Number(value);
+  return Number.isInteger(notebookId) ? notebookId : NaN;
+}
+
+// Check that a notebook belongs to the user
+async function isOwnedNotebook(notebookId, userId) {
+  const result = await pool.query(
+    'SELECT 1 FROM notebooks WHERE id = $1 AND user_id = $2',
+    [notebookId, userId]
+  );
+  return result.rows.length > 0;
+}
+
+// Sortable columns for note listings, keyed by the ?sort= value
+const LIST_SORT_COLUMNS = {
+  created: 'n.created_at',
+  updated: 'n.updated_at',
+  title: 'n.title'
+};
+const LIST_DEFAULT_LIMIT = 20;
+const LIST_MAX_LIMIT = 100;
+const EXCERPT_LENGTH = 200;
+
+// Date-range filters for note listings: query parameter -> [column, operator]
+const LIST_DATE_FILTERS = {
+  created_after: ['n.created_at', '>='],
+  created_before: ['n.created_at', '<'],
+  updated_after: ['n.updated_at', '>='],
+  updated_before: ['n.updated_at', '<']
+};
+
+// Parse pagination, sorting and filtering options for note listings:
+// ?limit=&cursor=&sort=created|updated|title&order=asc|desc&content=full|excerpt
+// plus the LIST_DATE_FILTERS date ranges
+function parseListOptions(query) {
+  const sort = query.sort || 'updated';
+  if (!Object.prototype.hasOwnProperty.call(LIST_SORT_COLUMNS, sort)) {
+    return { error: 'sort must be "created", "updated" or "title"' };
+  }
+
+  const order = query.order || (sort === 'title' ? 'asc' : 'desc');
+  if (order !== 'asc' && order !== 'desc') {
+    return { error: 'order must be "asc" or "desc"' };
+  }
+
+  let limit = LIST_DEFAULT_LIMIT;
+  if (query.limit !== undefined) {
+    limit = parseInt(query.limit);
+    if (isNaN(limit) || limit < 1 || limit > LIST_MAX_LIMIT) {
+      return { error: `limit must be between 1 and ${LIST_MAX_LIMIT}` };
+    }
+  }
+
+  const contentMode = query.content || 'full';
+  if (contentMode !== 'full' && contentMode !== 'excerpt') {
+    return { error: 'content must be "full" or "excerpt"' };
+  }
+
+  // Cursors are only valid for the sort they were issued with
+  let cursor = null;
+  if (query.cursor) {
+    try {
+      cursor = JSON.parse(Buffer.from(String(query.cursor), 'base64url').toString('utf8'));
+    } catch (err) {
+      cursor = null;
+    }
+    if (!cursor || typeof cursor.v !== 'string' || !Number.isInteger(cursor.id) ||
+        cursor.s !== sort || cursor.o !== order) {
+      return { error: 'Invalid cursor' };
+    }
+  }
+
+  const dateFilters = {};
+  for (const key of Object.keys(LIST_DATE_FILTERS)) {
+    if (query[key] !== undefined) {
+      const date = new Date(query[key]);
+      if (isNaN(date.getTime())) {
+        return { error: `${key} must be a valid date` };
+      }
+      dateFilters[key] = date;
+    }
+  }
+
+  return { sort, order, limit, cursor, contentMode, dateFilters };
+}
+
+// Add listing options to a query's conditions and values. Returns SQL for the content
+// column(s), the cursor column, and the ORDER BY / LIMIT clause (keyset pagination on sort column + id).
+function applyListOptions(options, conditions, values) {
+  const column = LIST_SORT_COLUMNS[options.sort];
+  const direction = options.order.toUpperCase();
+
+  for (const [key, date] of Object.entries(options.dateFilters)) {
+    const [dateColumn, operator] = LIST_DATE_FILTERS[key];
+    values.push(date);
+    conditions.push(`${dateColumn} ${operator} $${values.length}`);
+  }
+
+  if (options.cursor) {
+    // Timestamps travel as text so the cursor keeps Postgres' microsecond precision
+    const cast = options.sort === 'title' ? '' : '::timestamp';
+    const comparison = options.order === 'asc' ? '>' : '<';
+    values.push(options.cursor.v, options.cursor.id);
+    conditions.push(`(${column}, n.id) ${comparison} ($${values.length - 1}${cast}, $${values.length})`);
+  }
+
+  // Fetch one extra row to know whether there is another page
+  values.push(options.limit + 1);
+
+  return {
+    contentSql: options.contentMode === 'excerpt'
+      ? `LEFT(n.content, ${EXCERPT_LENGTH}) AS excerpt, LENGTH(n.content) > ${EXCERPT_LENGTH} AS excerpt_truncated`
+      : 'n.content',
+    cursorSql: `${column}::text AS cursor_value`,
+    orderSql: `ORDER BY ${column} ${direction}, n.id ${direction} LIMIT $${values.length}`
+  };
+}
+
+// Turn the rows of a listing query into a page with a cursor for the next one
+function paginateNotes(rows, options) {
+  const hasMore = rows.length > options.limit;
+  const pageRows = hasMore ? rows.slice(0, options.limit) : rows;
+  const lastRow = pageRows[pageRows.length - 1];
+
+  const nextCursor = hasMore
+    ? Buffer.from(JSON.stringify({ s: options.sort, o: options.order, v: lastRow.cursor_value, id: lastRow.id })).toString('base64url')
+    : null;
+
+  return {
+    notes: pageRows.map(({ cursor_value, ...note }) => note),
+    next_cursor: nextCursor,
+    has_more: hasMore
+  };
+}
+
+// Replace the tags on a note, creating any of the user's tags that don't exist yet.
+// Pass a transaction client as db to run inside a transaction.
+async function setNoteTags(userId, noteId, tags, db = pool) {
+  await db.query('DELETE FROM note_tags WHERE note_id = $1', [noteId]);
+
+  if (tags.length > 0) {
+    await db.query(
+      'INSERT INTO tags (user_id, name) SELECT $1, unnest($2::text[]) ON CONFLICT (user_id, name) DO NOTHING',
+      [userId, tags]
+    );
+    await db.query(
+      'INSERT INTO note_tags (note_id, tag_id) SELECT $1, id FROM tags WHERE user_id = $2 AND name = ANY($3::text[])',
+      [noteId, userId, tags]
+    );
+  }
+
+  // Drop tags that are no longer used by any note
+  await db.query(
+    'DELETE FROM tags WHERE user_id = $1 AND NOT EXISTS (SELECT 1 FROM note_tags WHERE tag_id = tags.id)',
+    [userId]
+  );
+}
+
+// Build a line-level diff between two texts
+function buildLineDiff(oldText, newText) {
+  const lines = [];
+  let oldLine = 1;
+  let newLine = 1;
+  let added = 0;
+  let removed = 0;
+
+  // Terminate both texts with a newline so an unchanged last line isn't reported as changed
+  const withNewline = text => (text.endsWith('\n') ? text : text + '\n');
+
+  diffLines(withNewline(oldText), withNewline(newText)).forEach(part => {
+    const partLines = part.value.replace(/\n$/, '').split('\n');
+    partLines.forEach(text => {
+      if (part.added) {
+        lines.push({ type: 'added', old_line: null, new_line: newLine++, text });
+        added++;
+      } else if (part.removed) {
+        lines.push({ type: 'removed', old_line: oldLine++, new_line: null, text });
+        removed++;
+      } else {
+        lines.push({ type: 'unchanged', old_line: oldLine++, new_line: newLine++, text });
+      }
+    });
+  });
+
+  return { lines, stats: { added, removed } };
+}
+
 // Create a new note
 router.post('/', requireAuth, handleMulterUpload(upload.array('attachments', 10)), async (req, res) => {
+  let client = null;
   try {
     const { title, content, is_public } = req.body;
     const userId = req.session.userId;
     const files = req.files || [];
     const isPublic = is_public === 'true' || is_public === true;
 
-    // Validate input
-    if (!title || !content) {
+    // Sanitize and validate title and content
+    const validated = validateNoteFields(title, content);
+    if (validated.error) {
       cleanupFiles(files);
-      return res.status(400).json({ error: 'Title and content are required' });
+      return res.status(400).json({ error: validated.error });
     }
+    const sanitizedTitle = validated.title;
+    const sanitizedContent = validated.content;
 
-    // Sanitize and validate title
-    const sanitizedTitle = title.trim();
-    if (sanitizedTitle.length === 0) {
+    // Validate tags
+    const parsedTags = parseTags(req.body.tags || '');
+    if (parsedTags.error) {
       cleanupFiles(files);
-      return res.status(400).json({ error: 'Title cannot be empty' });
+      return res.status(400).json({ error: parsedTags.error });
     }
-    if (sanitizedTitle.length > 255) {
+
+    // Optional notebook to file the note in
+    const notebookId = parseNotebookId(req.body.notebook_id);
+    if (Number.isNaN(notebookId)) {
+      cleanupFiles(files);
+      return res.status(400).json({ error: 'Invalid notebook ID' });
+    }
+    if (notebookId !== null && !(await isOwnedNotebook(notebookId, userId))) {
       cleanupFiles(files);
-      return res.status(400).json({ error: 'Title must be 255 characters or less' });
+      return res.status(404).json({ error: 'Notebook not found' });
     }
 
-    // Sanitize and validate content
-    const sanitizedContent = content.trim();
-    if (sanitizedContent.length === 0) {
+    const rejection = await checkUploadQuota(userId, files) || await checkUploadedFiles(files);
+    if (rejection) {
       cleanupFiles(files);
-      return res.status(400).json({ error: 'Content cannot be empty' });
+      return sendUploadRejection(res, rejection);
+    }
+
+    // Put the files into storage before the transaction, so no lock is held meanwhile
+    for (const file of files) {
+      await storeAttachmentFile(file);
     }
-    // Limit content size (e.g., 1MB of text)
-    if (sanitizedContent.length > 1000000) {
+
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    const quotaRejection = await reserveStorageQuota(userId, totalFileSize(files), client);
+    if (quotaRejection) {
+      await client.query('ROLLBACK');
       cleanupFiles(files);
-      return res.status(400).json({ error: 'Content is too long (maximum 1MB)' });
+      return sendUploadRejection(res, quotaRejection);
     }
 
     // Insert new note
-    const result = await pool.query(
-      'INSERT INTO notes (user_id, title, content, is_public) VALUES ($1, $2, $3, $4) RETURNING id, title, content, is_public, created_at, updated_at',
-      [userId, sanitizedTitle, sanitizedContent, isPublic]
+    const result = await client.query(
+      'INSERT INTO notes (user_id, title, content, is_public, notebook_id) VALUES ($1, $2, $3, $4, $5) RETURNING id, title, content, is_public, notebook_id, created_at, updated_at',
+      [userId, sanitizedTitle, sanitizedContent, isPublic, notebookId]
     );
 
     const noteId = result.rows[0].id;
-    const attachments = [];
+    await setNoteTags(userId, noteId, parsedTags.tags, client);
+    await recordRevision(noteId, userId, sanitizedTitle, sanitizedContent, null, client);
 
     // Save file attachments
-    for (const file of files) {
-      const filePath = `/attachments/${file.filename}`;
-      const attachmentResult = await pool.query(
-        'INSERT INTO note_attachments (note_id, original_filename, stored_filename, file_path, file_size, mime_type) VALUES ($1, $2, $3, $4, $5, $6) RETURNING id, original_filename, stored_filename, file_path, file_size, mime_type, created_at',
-        [noteId, file.originalname, file.filename, filePath, file.size, file.mimetype]
-      );
-      attachments.push(attachmentResult.rows[0]);
-    }
+    const attachments = await insertAttachments(noteId, files, client);
+
+    await client.query('COMMIT');
 
     res.status(201).json({
       message: 'Note created successfully',
-      note: result.rows[0],
+      note: { ...result.rows[0], tags: parsedTags.tags },
       attachments: attachments
     });
   } catch (error) {
     console.error('Error creating note:', error);
+    if (client) {
+      await client.query('ROLLBACK').catch(err => console.error('Error rolling back note creation:', err));
+    }
     // Clean up uploaded files on error
     cleanupFiles(req.files);
     
@@ -171,187 +567,1482 @@ router.post('/', requireAuth, handleMulterUpload(upload.array('attachments', 10)
     } else {
       res.status(500).json({ error: 'Internal server error' });
     }
+  } finally {
+    if (client) {
+      client.release();
+    }
   }
 });
 
-// Get all notes for the current user
+// Get the current user's notes, paginated and sorted (see parseListOptions).
+// Also filters by ?visibility=public|private, by tag
+// (?tag=a&tag=b, with ?tag_mode=all to require every tag or ?tag_mode=any for at least one)
+// and by ?notebook=<id> (or "none" for notes outside any notebook), with
+// ?include_subnotebooks=true to include notes from nested notebooks.
+// Sends an ETag and answers a matching If-None-Match with 304.
 router.get('/', requireAuth, async (req, res) => {
   try {
     const userId = req.session.userId;
+    const tagMode = req.query.tag_mode || 'all';
+    const visibility = req.query.visibility || 'all';
+
+    if (tagMode !== 'all' && tagMode !== 'any') {
+      return res.status(400).json({ error: 'tag_mode must be "all" or "any"' });
+    }
+    if (!['all', 'public', 'private'].includes(visibility)) {
+      return res.status(400).json({ error: 'visibility must be "all", "public" or "private"' });
+    }
+
+    const listOptions = parseListOptions(req.query);
+    if (listOptions.error) {
+      return res.status(400).json({ error: listOptions.error });
+    }
+
+    const parsedTags = parseTags(req.query.tag || '');
+    if (parsedTags.error) {
+      return res.status(400).json({ error: parsedTags.error });
+    }
+    const filterTags = parsedTags.tags;
+
+    const notebookFilter = req.query.notebook === undefined ? undefined : parseNotebookId(req.query.notebook);
+    if (Number.isNaN(notebookFilter)) {
+      return res.status(400).json({ error: 'notebook must be a notebook ID or "none"' });
+    }
+    if (notebookFilter && !(await isOwnedNotebook(notebookFilter, userId))) {
+      return res.status(404).json({ error: 'Notebook not found' });
+    }
+
+    const conditions = ['n.user_id = $1', 'n.deleted_at IS NULL'];
+    const values = [userId];
+
+    if (notebookFilter === null) {
+      conditions.push('n.notebook_id IS NULL');
+    } else if (notebookFilter !== undefined) {
+      values.push(notebookFilter);
+      if (req.query.include_subnotebooks === 'true') {
+        conditions.push(`n.notebook_id IN (
+          WITH RECURSIVE subtree AS (
+            SELECT id FROM notebooks WHERE id = $${values.length}
+            UNION
+            SELECT nb.id FROM notebooks nb JOIN subtree s ON nb.parent_id = s.id
+          )
+          SELECT id FROM subtree
+        )`);
+      } else {
+        conditions.push(`n.notebook_id = $${values.length}`);
+      }
+    }
+
+    if (visibility !== 'all') {
+      conditions.push(visibility === 'public' ? 'n.is_public = true' : 'n.is_public = false');
+    }
+
+    if (filterTags.length > 0) {
+      values.push(filterTags);
+      const tagMatch = `
+        SELECT nt.note_id FROM note_tags nt JOIN tags t ON t.id = nt.tag_id
+        WHERE t.user_id = $1 AND t.name = ANY($${values.length}::text[])
+        GROUP BY nt.note_id`;
+      if (tagMode === 'all') {
+        values.push(filterTags.length);
+        conditions.push(`n.id IN (${tagMatch} HAVING COUNT(DISTINCT t.name) = $${values.length})`);
+      } else {
+        conditions.push(`n.id IN (${tagMatch})`);
+      }
+    }
+
+    // Fingerprint the matching notes by ID and version (every change bumps the version),
+    // so an unchanged list gets a 304 without running the full query
+    const fingerprintResult = await pool.query(
+      `SELECT md5(COALESCE(string_agg(n.id || ':' || n.version, ',' ORDER BY n.id), '')) AS fingerprint
+       FROM notes n
+       WHERE ${conditions.join(' AND ')}`,
+      values
+    );
+    const etag = 'W/"' + crypto.createHash('sha256')
+      .update(`${userId}\n${req.originalUrl}\n${fingerprintResult.rows[0].fingerprint}`)
+      .digest('base64url') + '"';
+
+    res.set('ETag', etag);
+    res.set('Cache-Control', 'private, no-cache');
+    const ifNoneMatch = req.get('If-None-Match');
+    if (ifNoneMatch && headerMatchesETag(ifNoneMatch, etag, true)) {
+      return res.status(304).end();
+    }
+
+    const listSql = applyListOptions(listOptions, conditions, values);
 
     const result = await pool.query(
-      'SELECT id, title, content, is_public, created_at, updated_at FROM notes WHERE user_id = $1 ORDER BY updated_at DESC',
-      [userId]
+      `SELECT n.id, n.title, ${listSql.contentSql}, n.is_public, n.notebook_id, n.created_at, n.updated_at,
+              ${NOTE_TAGS_SQL}, ${listSql.cursorSql}
+       FROM notes n
+       WHERE ${conditions.join(' AND ')}
+       ${listSql.orderSql}`,
+      values
     );
 
-    res.json({
-      notes: result.rows
-    });
+    res.json(paginateNotes(result.rows, listOptions));
   } catch (error) {
     console.error('Error fetching notes:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Get public notes for a specific user
-router.get('/user/:userId/public', requireAuth, async (req, res) => {
+// Render Markdown content to sanitized HTML for the editor preview
+router.post('/preview', requireAuth, (req, res) => {
   try {
-    const targetUserId = parseInt(req.params.userId);
+    const { content } = req.body;
 
-    if (isNaN(targetUserId)) {
-      return res.status(400).json({ error: 'Invalid user ID' });
+    if (typeof content !== 'string') {
+      return res.status(400).json({ error: 'Content must be a string' });
+    }
+    if (content.length > 1000000) {
+      return res.status(400).json({ error: 'Content is too long (maximum 1MB)' });
     }
-
-    const result = await pool.query(
-      'SELECT id, title, content, is_public, created_at, updated_at FROM notes WHERE user_id = $1 AND is_public = true ORDER BY updated_at DESC',
-      [targetUserId]
-    );
 
     res.json({
-      notes: result.rows
+      rendered_html: renderMarkdown(content)
     });
   } catch (error) {
-    console.error('Error fetching public notes:', error);
+    console.error('Error rendering preview:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Get a specific note by ID
-router.get('/:id', requireAuth, async (req, res) => {
+// Markers used by ts_headline so snippets can be HTML-escaped before highlighting
+const HIGHLIGHT_START = '\u0001';
+const HIGHLIGHT_STOP = '\u0002';
+
+// Escape a headline from Postgres and turn the markers into <mark> tags
+function highlightSnippet(text) {
+  if (!text) return '';
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;')
+    .split(HIGHLIGHT_START).join('<mark>')
+    .split(HIGHLIGHT_STOP).join('</mark>');
+}
+
+// Search notes with Postgres full-text search
+router.get('/search', requireAuth, async (req, res) => {
   try {
-    const noteId = parseInt(req.params.id);
     const userId = req.session.userId;
+    const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    const includePublic = req.query.include_public === 'true';
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
 
-    if (isNaN(noteId)) {
-      return res.status(400).json({ error: 'Invalid note ID' });
+    if (q.length === 0) {
+      return res.status(400).json({ error: 'Search query is required' });
     }
+    if (q.length > 500) {
+      return res.status(400).json({ error: 'Search query must be 500 characters or less' });
+    }
+
+    const headlineOptions = `StartSel=${HIGHLIGHT_START}, StopSel=${HIGHLIGHT_STOP}, MaxWords=35, MinWords=15, MaxFragments=3, FragmentDelimiter=" … "`;
+    const titleHeadlineOptions = `StartSel=${HIGHLIGHT_START}, StopSel=${HIGHLIGHT_STOP}, HighlightAll=true`;
 
-    // Get note - allow if user owns it OR if it's public
     const result = await pool.query(
-      'SELECT id, title, content, is_public, user_id, created_at, updated_at FROM notes WHERE id = $1 AND (user_id = $2 OR is_public = true)',
-      [noteId, userId]
+      `SELECT n.id, n.title, n.is_public, n.user_id, u.username, n.created_at, n.updated_at,
+              ts_rank_cd(n.search_vector, query) AS rank,
+              ts_headline('english', n.title, query, $4) AS title_headline,
+              ts_headline('english', n.content, query, $5) AS content_headline,
+              COUNT(*) OVER() AS total_count
+       FROM notes n
+       JOIN users u ON u.id = n.user_id,
+            websearch_to_tsquery('english', $1) query
+       WHERE n.search_vector @@ query
+         AND n.deleted_at IS NULL
+         AND (n.user_id = $2 OR ($3 AND n.is_public = true))
+       ORDER BY rank DESC, n.updated_at DESC
+       LIMIT $6 OFFSET $7`,
+      [q, userId, includePublic, titleHeadlineOptions, headlineOptions, limit, offset]
     );
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Note not found' });
+    res.json({
+      query: q,
+      total: result.rows.length > 0 ? parseInt(result.rows[0].total_count) : 0,
+      limit: limit,
+      offset: offset,
+      results: result.rows.map(row => ({
+        id: row.id,
+        title: row.title,
+        is_public: row.is_public,
+        user_id: row.user_id,
+        username: row.username,
+        is_owner: row.user_id === userId,
+        created_at: row.created_at,
+        updated_at: row.updated_at,
+        rank: parseFloat(row.rank),
+        title_highlight: highlightSnippet(row.title_headline),
+        snippet: highlightSnippet(row.content_headline)
+      }))
+    });
+  } catch (error) {
+    console.error('Error searching notes:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Turn a note title into a filesystem-friendly name for exports
+function slugifyTitle(title) {
+  const slug = title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60);
+  return slug || 'note';
+}
+
+// Export all of the current user's notes and attachments as a ZIP archive:
+// notes/<id>-<title>.md (Markdown with YAML front matter), attachments/<id>/<file>,
+// and manifest.json describing everything in the archive
+router.get('/export', requireAuth, async (req, res) => {
+  try {
+    const userId = req.session.userId;
+
+    const userResult = await pool.query('SELECT id, username FROM users WHERE id = $1', [userId]);
+    if (userResult.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
     }
 
-    const note = result.rows[0];
-    const isOwner = note.user_id === userId;
+    const notesResult = await pool.query(
+      `SELECT n.id, n.title, n.content, n.is_public, n.created_at, n.updated_at, ${NOTE_TAGS_SQL}
+       FROM notes n
+       WHERE n.user_id = $1 AND n.deleted_at IS NULL
+       ORDER BY n.created_at ASC, n.id ASC`,
+      [userId]
+    );
 
-    // Get attachments for this note
     const attachmentsResult = await pool.query(
-      'SELECT id, original_filename, stored_filename, file_path, file_size, mime_type, created_at FROM note_attachments WHERE note_id = $1 ORDER BY created_at ASC',
-      [noteId]
+      `SELECT a.id, a.note_id, a.original_filename, a.file_path, a.file_size, a.mime_type, a.created_at
+       FROM note_attachments a
+       JOIN notes n ON n.id = a.note_id
+       WHERE n.user_id = $1 AND n.deleted_at IS NULL
+       ORDER BY a.created_at ASC, a.id ASC`,
+      [userId]
     );
 
-    res.json({
-      note: {
+    const exportedAt = new Date();
+    const archive = archiver('zip', { zlib: { level: 6 } });
+
+    archive.on('warning', (err) => {
+      console.warn('Export warning:', err);
+    });
+    archive.on('error', (err) => {
+      console.error('Error building export archive:', err);
+      res.destroy(err);
+    });
+
+    res.attachment(`vibenotes-export-${exportedAt.toISOString().slice(0, 10)}.zip`);
+    archive.pipe(res);
+
+    const manifestNotes = [];
+
+    for (const note of notesResult.rows) {
+      const noteFile = `notes/${note.id}-${slugifyTitle(note.title)}.md`;
+      const frontMatter = {
+        title: note.title,
+        created_at: note.created_at,
+        updated_at: note.updated_at,
+        is_public: note.is_public,
+        tags: note.tags.length > 0 ? note.tags : undefined
+      };
+      archive.append(serializeFrontMatter(frontMatter, note.content), { name: noteFile, date: note.updated_at });
+
+      // Add attachments under a per-note folder, de-duplicating repeated filenames
+      const usedNames = new Set();
+      const manifestAttachments = [];
+      for (const attachment of attachmentsResult.rows.filter(a => a.note_id === note.id)) {
+        const ext = path.extname(attachment.original_filename);
+        const baseName = path.basename(attachment.original_filename, ext).replace(/[\\/:*?"<>|]/g, '_');
+        let fileName = `${baseName}${ext}`;
+        for (let i = 2; usedNames.has(fileName); i++) {
+          fileName = `${baseName} (${i})${ext}`;
+        }
+        usedNames.add(fileName);
+
+        const archivePath = `attachments/${note.id}/${fileName}`;
+        const missing = !(await storage.stat(attachment.file_path));
+        if (!missing) {
+          archive.append(lazyReadStream(attachment.file_path), { name: archivePath, date: attachment.created_at });
+        }
+
+        manifestAttachments.push({
+          id: attachment.id,
+          original_filename: attachment.original_filename,
+          file: missing ? null : archivePath,
+          file_size: attachment.file_size,
+          mime_type: attachment.mime_type,
+          created_at: attachment.created_at,
+          ...(missing ? { missing: true } : {})
+        });
+      }
+
+      manifestNotes.push({
         id: note.id,
         title: note.title,
-        content: note.content,
+        file: noteFile,
         is_public: note.is_public,
-        user_id: note.user_id,
+        tags: note.tags,
         created_at: note.created_at,
-        updated_at: note.updated_at
-      },
-      attachments: attachmentsResult.rows,
-      is_owner: isOwner
-    });
+        updated_at: note.updated_at,
+        attachments: manifestAttachments
+      });
+    }
+
+    const manifest = {
+      format: 'vibenotes-export',
+      version: 1,
+      exported_at: exportedAt,
+      user: userResult.rows[0],
+      note_count: manifestNotes.length,
+      attachment_count: manifestNotes.reduce((count, note) => count + note.attachments.length, 0),
+      notes: manifestNotes
+    };
+    archive.append(JSON.stringify(manifest, null, 2), { name: 'manifest.json' });
+
+    await archive.finalize();
   } catch (error) {
-    console.error('Error fetching note:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    console.error('Error exporting notes:', error);
+    if (res.headersSent) {
+      res.destroy(error);
+    } else {
+      res.status(500).json({ error: 'Internal server error' });
+    }
   }
 });
 
-// Update a specific note by ID
-router.put('/:id', requireAuth, handleMulterUpload(upload.array('attachments', 10)), async (req, res) => {
+// Parse an optional date from imported data: null when absent, undefined when invalid
+function parseImportDate(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? undefined : date;
+}
+
+// Import notes from uploaded .md/.txt, .json or .zip files (field "files"), or from a
+// JSON body holding an array of notes. Everything is created in one transaction and
+// the response reports the outcome of each item.
+router.post('/import', requireAuth, handleMulterUpload(importUpload.array('files', 10)), async (req, res) => {
+  const writtenFiles = [];
+  let client = null;
+
   try {
-    const noteId = parseInt(req.params.id);
     const userId = req.session.userId;
-    const { title, content } = req.body;
     const files = req.files || [];
 
-    if (isNaN(noteId)) {
-      cleanupFiles(files);
-      return res.status(400).json({ error: 'Invalid note ID' });
+    let items = [];
+    if (files.length > 0) {
+      const parsed = parseImportFiles(files);
+      if (parsed.error) {
+        return res.status(parsed.status).json({ error: parsed.error });
+      }
+      items = parsed.items;
+    } else if (req.is('application/json')) {
+      items = notesFromData('request', req.body);
+    } else {
+      return res.status(400).json({ error: 'Upload .md, .txt, .json or .zip files, or send a JSON array of notes' });
     }
 
-    // Validate input
-    if (!title || !content) {
-      cleanupFiles(files);
-      return res.status(400).json({ error: 'Title and content are required' });
+    if (items.length > MAX_IMPORT_ITEMS) {
+      return res.status(400).json({ error: `Too many notes to import at once (maximum ${MAX_IMPORT_ITEMS})` });
     }
 
-    // Sanitize and validate title
-    const sanitizedTitle = title.trim();
-    if (sanitizedTitle.length === 0) {
-      cleanupFiles(files);
-      return res.status(400).json({ error: 'Title cannot be empty' });
-    }
-    if (sanitizedTitle.length > 255) {
-      cleanupFiles(files);
-      return res.status(400).json({ error: 'Title must be 255 characters or less' });
-    }
+    // Validate the items and put their attachments into storage first, so the scans,
+    // thumbnails and uploads all happen before the transaction locks the user's row
+    const results = [];
+    const prepared = [];
+    let preparedBytes = 0;
+    for (const item of items) {
+      if (item.error) {
+        results.push({ source: item.source, status: 'failed', error: item.error });
+        continue;
+      }
 
-    // Sanitize and validate content
-    const sanitizedContent = content.trim();
-    if (sanitizedContent.length === 0) {
+      // Apply the same limits as creating a note
+      const validated = validateNoteFields(item.title, item.content);
+      if (validated.error) {
+        results.push({ source: item.source, status: 'failed', error: validated.error });
+        continue;
+      }
+
+      const parsedTags = item.tags === undefined || item.tags === null ? { tags: [] } : parseTags(item.tags);
+      if (parsedTags.error) {
+        results.push({ source: item.source, status: 'failed', error: parsedTags.error });
+        continue;
+      }
+
+      const createdAt = parseImportDate(item.created_at);
+      const updatedAt = parseImportDate(item.updated_at);
+      if (createdAt === undefined || updatedAt === undefined) {
+        results.push({ source: item.source, status: 'failed', error: 'Dates must be valid ISO 8601 timestamps' });
+        continue;
+      }
+
+      const oversized = item.attachments.find(attachment => attachment.data.length > 50 * 1024 * 1024);
+      if (oversized) {
+        results.push({ source: item.source, status: 'failed', error: `Attachment "${oversized.filename}" is larger than 50MB` });
+        continue;
+      }
+
+      // An early check, counting the earlier items of this import; the transaction below
+      // checks again with reserveStorageQuota
+      const attachmentBytes = item.attachments.reduce((total, attachment) => total + attachment.data.length, 0);
+      if (attachmentBytes > 0) {
+        const quotaRejection = await checkStorageQuota(userId, preparedBytes + attachmentBytes);
+        if (quotaRejection) {
+          results.push({ source: item.source, status: 'failed', error: quotaRejection.error });
+          continue;
+        }
+      }
+
+      // Write and check the attachments, then store them
+      const storedAttachments = [];
+      let rejection = null;
+      for (const attachment of item.attachments) {
+        const ext = path.extname(attachment.filename);
+        const sanitizedBaseName = path.basename(attachment.filename, ext).replace(/[^a-zA-Z0-9]/g, '_');
+        const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+        const storedFilename = `note-${uniqueSuffix}-${sanitizedBaseName}${ext}`;
+        const tempPath = tempFilePath(storedFilename);
+
+        fs.writeFileSync(tempPath, attachment.data);
+        const writtenFile = { path: tempPath, filename: storedFilename, mimetype: attachment.mime_type };
+        writtenFiles.push(writtenFile);
+        storedAttachments.push({ attachment, writtenFile });
+
+        rejection = await checkUpload(tempPath, attachment.mime_type, attachment.filename);
+        if (rejection) break;
+      }
+      if (rejection) {
+        cleanupFiles(storedAttachments.map(stored => stored.writtenFile));
+        results.push({ source: item.source, status: 'failed', error: rejection.error });
+        continue;
+      }
+
+      for (const { writtenFile } of storedAttachments) {
+        await storeAttachmentFile(writtenFile);
+      }
+
+      preparedBytes += attachmentBytes;
+      const result = { source: item.source };
+      results.push(result);
+      prepared.push({ item, result, validated, parsedTags, createdAt, updatedAt, attachmentBytes, storedAttachments });
+    }
+
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    for (const { item, result, validated, parsedTags, createdAt, updatedAt, attachmentBytes, storedAttachments } of prepared) {
+      // Counted inside the transaction, so earlier items of this import are included
+      const quotaRejection = await reserveStorageQuota(userId, attachmentBytes, client);
+      if (quotaRejection) {
+        cleanupFiles(storedAttachments.map(stored => stored.writtenFile));
+        Object.assign(result, { status: 'failed', error: quotaRejection.error });
+        continue;
+      }
+
+      const isPublic = item.is_public === true || item.is_public === 'true';
+      const noteResult = await client.query(
+        `INSERT INTO notes (user_id, title, content, is_public, created_at, updated_at)
+         VALUES ($1, $2, $3, $4, COALESCE($5::timestamptz, CURRENT_TIMESTAMP), COALESCE($6::timestamptz, $5::timestamptz, CURRENT_TIMESTAMP))
+         RETURNING id`,
+        [userId, validated.title, validated.content, isPublic, createdAt, updatedAt]
+      );
+      const noteId = noteResult.rows[0].id;
+
+      await setNoteTags(userId, noteId, parsedTags.tags, client);
+      await recordRevision(noteId, userId, validated.title, validated.content, null, client);
+
+      for (const { attachment, writtenFile } of storedAttachments) {
+        await client.query(
+          'INSERT INTO note_attachments (note_id, original_filename, stored_filename, file_path, file_size, mime_type, thumbnail_path) VALUES ($1, $2, $3, $4, $5, $6, $7)',
+          [noteId, attachment.filename, writtenFile.filename, writtenFile.storagePath, attachment.data.length, attachment.mime_type, writtenFile.thumbnailPath]
+        );
+      }
+
+      Object.assign(result, {
+        status: 'created',
+        note_id: noteId,
+        title: validated.title,
+        attachments: item.attachments.length
+      });
+    }
+
+    await client.query('COMMIT');
+
+    const createdCount = results.filter(result => result.status === 'created').length;
+    const failedCount = results.length - createdCount;
+
+    res.status(createdCount > 0 ? 201 : 400).json({
+      ...(createdCount === 0 ? { error: 'No notes were imported' } : {}),
+      message: `Imported ${createdCount} note(s), ${failedCount} failed`,
+      created: createdCount,
+      failed: failedCount,
+      results: results
+    });
+  } catch (error) {
+    console.error('Error importing notes:', error);
+    if (client) {
+      await client.query('ROLLBACK').catch(err => console.error('Error rolling back import:', err));
+    }
+    cleanupFiles(writtenFiles);
+    res.status(500).json({ error: 'Internal server error' });
+  } finally {
+    if (client) {
+      client.release();
+    }
+    // The uploaded import files themselves are never kept
+    (req.files || []).forEach(file => removeTempFile(file.path));
+  }
+});
+
+// Get notes other users have shared with the current user
+router.get('/shared-with-me', requireAuth, async (req, res) => {
+  try {
+    const userId = req.session.userId;
+
+    const result = await pool.query(
+      `SELECT n.id, n.title, n.content, n.is_public, n.user_id, u.username AS owner_username,
+              s.permission, s.created_at AS shared_at, n.created_at, n.updated_at, ${NOTE_TAGS_SQL}
+       FROM note_shares s
+       JOIN notes n ON n.id = s.note_id
+       JOIN users u ON u.id = n.user_id
+       WHERE s.user_id = $1 AND n.deleted_at IS NULL
+       ORDER BY n.updated_at DESC`,
+      [userId]
+    );
+
+    res.json({
+      notes: result.rows
+    });
+  } catch (error) {
+    console.error('Error fetching shared notes:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get public notes for a specific user (paginated and sorted like the main listing)
+router.get('/user/:userId/public', requireAuth, async (req, res) => {
+  try {
+    const targetUserId = parseInt(req.params.userId);
+
+    if (isNaN(targetUserId)) {
+      return res.status(400).json({ error: 'Invalid user ID' });
+    }
+
+    const listOptions = parseListOptions(req.query);
+    if (listOptions.error) {
+      return res.status(400).json({ error: listOptions.error });
+    }
+
+    const conditions = ['n.user_id = $1', 'n.is_public = true', 'n.deleted_at IS NULL'];
+    const values = [targetUserId];
+    const listSql = applyListOptions(listOptions, conditions, values);
+
+    const result = await pool.query(
+      `SELECT n.id, n.title, ${listSql.contentSql}, n.is_public, n.created_at, n.updated_at,
+              ${NOTE_TAGS_SQL}, ${listSql.cursorSql}
+       FROM notes n
+       WHERE ${conditions.join(' AND ')}
+       ${listSql.orderSql}`,
+      values
+    );
+
+    res.json(paginateNotes(result.rows, listOptions));
+  } catch (error) {
+    console.error('Error fetching public notes:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// List the notes in the current user's trash, most recently deleted first. purge_at is
+// when each one will be deleted for good.
+router.get('/trash', requireAuth, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT n.id, n.title, LEFT(n.content, ${EXCERPT_LENGTH}) AS excerpt, n.is_public, n.notebook_id,
+              n.created_at, n.updated_at, n.deleted_at,
+              n.deleted_at + make_interval(days => $2) AS purge_at, ${NOTE_TAGS_SQL}
+       FROM notes n
+       WHERE n.user_id = $1 AND n.deleted_at IS NOT NULL
+       ORDER BY n.deleted_at DESC, n.id DESC`,
+      [req.session.userId, TRASH_RETENTION_DAYS]
+    );
+
+    res.json({
+      notes: result.rows,
+      retention_days: TRASH_RETENTION_DAYS
+    });
+  } catch (error) {
+    console.error('Error fetching trash:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Permanently delete everything in the current user's trash
+router.delete('/trash', requireAuth, async (req, res) => {
+  try {
+    const result = await pool.query(
+      'SELECT id FROM notes WHERE user_id = $1 AND deleted_at IS NOT NULL',
+      [req.session.userId]
+    );
+
+    const deleted = await deleteNotesPermanently(result.rows.map(row => row.id));
+
+    res.json({
+      message: 'Trash emptied',
+      notes_deleted: deleted
+    });
+  } catch (error) {
+    console.error('Error emptying trash:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Permanently delete one note from the trash, with its attachment files
+router.delete('/trash/:id', requireAuth, async (req, res) => {
+  try {
+    const noteId = parseInt(req.params.id);
+
+    if (isNaN(noteId)) {
+      return res.status(400).json({ error: 'Invalid note ID' });
+    }
+
+    const result = await pool.query(
+      'SELECT id FROM notes WHERE id = $1 AND user_id = $2 AND deleted_at IS NOT NULL',
+      [noteId, req.session.userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Note not found in trash' });
+    }
+
+    await deleteNotesPermanently([noteId]);
+
+    res.json({
+      message: 'Note permanently deleted'
+    });
+  } catch (error) {
+    console.error('Error permanently deleting note:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get a specific note by ID
+router.get('/:id', requireAuth, async (req, res) => {
+  try {
+    const noteId = parseInt(req.params.id);
+    const userId = req.session.userId;
+
+    if (isNaN(noteId)) {
+      return res.status(400).json({ error: 'Invalid note ID' });
+    }
+
+    // Allow if user owns it, it's public, or it has been shared with them
+    const access = await getNoteAccess(noteId, userId);
+    if (!access) {
+      return res.status(404).json({ error: 'Note not found' });
+    }
+
+    const result = await pool.query(
+      `SELECT n.id, n.title, n.content, n.is_public, n.user_id, n.notebook_id, n.version, n.created_at, n.updated_at, ${NOTE_TAGS_SQL}
+       FROM notes n
+       WHERE n.id = $1`,
+      [noteId]
+    );
+
+    const note = result.rows[0];
+    const isOwner = access.permission === 'owner';
+    const renderHtml = req.query.format === 'html';
+
+    // Get attachments for this note
+    const attachmentsResult = await pool.query(
+      'SELECT id, original_filename, stored_filename, file_path, file_size, mime_type, thumbnail_path, created_at FROM note_attachments WHERE note_id = $1 ORDER BY created_at ASC',
+      [noteId]
+    );
+
+    res.set('ETag', noteETag(note.id, note.version));
+    res.json({
+      note: {
+        id: note.id,
+        title: note.title,
+        content: note.content,
+        is_public: note.is_public,
+        user_id: note.user_id,
+        // Notebooks are private to the owner
+        notebook_id: isOwner ? note.notebook_id : null,
+        tags: note.tags,
+        ...(renderHtml ? { rendered_html: renderMarkdown(note.content) } : {}),
+        version: note.version,
+        created_at: note.created_at,
+        updated_at: note.updated_at
+      },
+      attachments: attachmentsResult.rows.map(attachment => formatAttachment(noteId, attachment)),
+      is_owner: isOwner,
+      permission: access.permission,
+      can_edit: isOwner || access.permission === 'edit',
+      comments_enabled: access.note.comments_enabled
+    });
+  } catch (error) {
+    console.error('Error fetching note:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update a specific note by ID
+router.put('/:id', requireAuth, handleMulterUpload(upload.array('attachments', 10)), async (req, res) => {
+  let client = null;
+  try {
+    const noteId = parseInt(req.params.id);
+    const userId = req.session.userId;
+    const { title, content } = req.body;
+    const files = req.files || [];
+
+    if (isNaN(noteId)) {
       cleanupFiles(files);
-      return res.status(400).json({ error: 'Content cannot be empty' });
+      return res.status(400).json({ error: 'Invalid note ID' });
     }
-    if (sanitizedContent.length > 1000000) {
+
+    // Sanitize and validate title and content
+    const validated = validateNoteFields(title, content);
+    if (validated.error) {
       cleanupFiles(files);
-      return res.status(400).json({ error: 'Content is too long (maximum 1MB)' });
+      return res.status(400).json({ error: validated.error });
+    }
+    const sanitizedTitle = validated.title;
+    const sanitizedContent = validated.content;
+
+    // Validate tags (left unchanged when the field is omitted)
+    let parsedTags = null;
+    if (req.body.tags !== undefined) {
+      parsedTags = parseTags(req.body.tags);
+      if (parsedTags.error) {
+        cleanupFiles(files);
+        return res.status(400).json({ error: parsedTags.error });
+      }
+    }
+
+    // Check the note exists and the user owns it or has been granted edit access
+    const access = await getNoteAccess(noteId, userId);
+    if (!access) {
+      cleanupFiles(files);
+      return res.status(404).json({ error: 'Note not found' });
+    }
+    if (access.permission === 'read') {
+      cleanupFiles(files);
+      return res.status(403).json({ error: 'You do not have permission to edit this note' });
+    }
+
+    const previousNote = access.note;
+    if (!ifMatchSatisfied(req, noteETag(noteId, previousNote.version))) {
+      cleanupFiles(files);
+      return sendPreconditionFailed(res, noteId);
+    }
+
+    // Attachments count towards the note owner's quota, even when a shared editor adds them
+    const rejection = await checkUploadQuota(previousNote.user_id, files) || await checkUploadedFiles(files);
+    if (rejection) {
+      cleanupFiles(files);
+      return sendUploadRejection(res, rejection);
+    }
+
+    // Put the files into storage before the transaction, so no lock is held meanwhile
+    for (const file of files) {
+      await storeAttachmentFile(file);
+    }
+
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    const quotaRejection = await reserveStorageQuota(previousNote.user_id, totalFileSize(files), client);
+    if (quotaRejection) {
+      await client.query('ROLLBACK');
+      cleanupFiles(files);
+      return sendUploadRejection(res, quotaRejection);
+    }
+
+    const isOwner = access.permission === 'owner';
+    const textChanged = previousNote.title !== sanitizedTitle || previousNote.content !== sanitizedContent;
+    if (textChanged) {
+      await ensureBaselineRevision(previousNote, client);
+    }
+
+    // Get is_public from body (only the owner can change visibility)
+    const { is_public } = req.body;
+    const isPublic = isOwner ? (is_public === 'true' || is_public === true) : previousNote.is_public;
+
+    // Update note. With If-Match, the version check is repeated here in case another
+    // write landed since we read the note.
+    const result = await client.query(
+      `UPDATE notes SET title = $1, content = $2, is_public = $3, version = version + 1, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $4 AND ($5::int IS NULL OR version = $5)
+       RETURNING id, title, content, is_public, version, created_at, updated_at`,
+      [sanitizedTitle, sanitizedContent, isPublic, noteId, req.get('If-Match') ? previousNote.version : null]
+    );
+
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      cleanupFiles(files);
+      return sendPreconditionFailed(res, noteId);
+    }
+
+    if (textChanged) {
+      await recordRevision(noteId, userId, sanitizedTitle, sanitizedContent, null, client);
+    }
+
+    // Tags belong to the note's owner, even when a shared editor changes them
+    if (parsedTags) {
+      await setNoteTags(previousNote.user_id, noteId, parsedTags.tags, client);
+    }
+    const tagsResult = await client.query(
+      `SELECT ${NOTE_TAGS_SQL} FROM notes n WHERE n.id = $1`,
+      [noteId]
+    );
+
+    // Save new file attachments
+    const attachments = await insertAttachments(noteId, files, client);
+
+    await client.query('COMMIT');
+
+    res.set('ETag', noteETag(noteId, result.rows[0].version));
+    res.json({
+      message: 'Note updated successfully',
+      note: { ...result.rows[0], tags: tagsResult.rows[0].tags },
+      attachments: attachments
+    });
+  } catch (error) {
+    console.error('Error updating note:', error);
+    if (client) {
+      await client.query('ROLLBACK').catch(err => console.error('Error rolling back note update:', err));
+    }
+    // Clean up uploaded files on error
+    cleanupFiles(req.files);
+    res.status(500).json({ error: 'Internal server error' });
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+});
+
+// Move a note to the trash. It can be restored until it is purged (see trash.js).
+router.delete('/:id', requireAuth, async (req, res) => {
+  try {
+    const noteId = parseInt(req.params.id);
+    const userId = req.session.userId;
+
+    if (isNaN(noteId)) {
+      return res.status(400).json({ error: 'Invalid note ID' });
+    }
+
+    // Check if note exists and belongs to user
+    const checkResult = await pool.query(
+      'SELECT id, version FROM notes WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL',
+      [noteId, userId]
+    );
+
+    if (checkResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Note not found' });
+    }
+    if (!ifMatchSatisfied(req, noteETag(noteId, checkResult.rows[0].version))) {
+      return sendPreconditionFailed(res, noteId);
+    }
+
+    // With If-Match, the version check is repeated here in case another write landed
+    // since we read the note
+    const result = await pool.query(
+      `UPDATE notes SET deleted_at = CURRENT_TIMESTAMP, version = version + 1
+       WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL AND ($3::int IS NULL OR version = $3)
+       RETURNING deleted_at`,
+      [noteId, userId, req.get('If-Match') ? checkResult.rows[0].version : null]
+    );
+
+    if (result.rows.length === 0) {
+      return sendPreconditionFailed(res, noteId);
+    }
+
+    res.json({
+      message: 'Note moved to trash',
+      deleted_at: result.rows[0].deleted_at,
+      retention_days: TRASH_RETENTION_DAYS
+    });
+  } catch (error) {
+    console.error('Error deleting note:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Take a note back out of the trash
+router.post('/:id/restore', requireAuth, async (req, res) => {
+  try {
+    const noteId = parseInt(req.params.id);
+    const userId = req.session.userId;
+
+    if (isNaN(noteId)) {
+      return res.status(400).json({ error: 'Invalid note ID' });
+    }
+
+    const result = await pool.query(
+      `UPDATE notes SET deleted_at = NULL, version = version + 1
+       WHERE id = $1 AND user_id = $2 AND deleted_at IS NOT NULL
+       RETURNING id, title, is_public, notebook_id, version, created_at, updated_at`,
+      [noteId, userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Note not found in trash' });
+    }
+
+    res.json({
+      message: 'Note restored successfully',
+      note: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Error restoring note:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Move a note into one of the owner's notebooks (notebook_id: null to take it out of any notebook)
+router.put('/:id/notebook', requireAuth, async (req, res) => {
+  try {
+    const noteId = parseInt(req.params.id);
+    const userId = req.session.userId;
+
+    if (isNaN(noteId)) {
+      return res.status(400).json({ error: 'Invalid note ID' });
+    }
+
+    if (req.body.notebook_id === undefined) {
+      return res.status(400).json({ error: 'notebook_id is required (use null to remove the note from its notebook)' });
+    }
+    const notebookId = parseNotebookId(req.body.notebook_id);
+    if (Number.isNaN(notebookId)) {
+      return res.status(400).json({ error: 'Invalid notebook ID' });
+    }
+
+    const checkResult = await pool.query(
+      'SELECT id FROM notes WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL',
+      [noteId, userId]
+    );
+    if (checkResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Note not found' });
+    }
+
+    if (notebookId !== null && !(await isOwnedNotebook(notebookId, userId))) {
+      return res.status(404).json({ error: 'Notebook not found' });
+    }
+
+    // Moving doesn't change the note's content, so updated_at is left alone
+    await pool.query(
+      'UPDATE notes SET notebook_id = $1, version = version + 1 WHERE id = $2 AND user_id = $3',
+      [notebookId, noteId, userId]
+    );
+
+    res.json({
+      message: notebookId === null ? 'Note removed from notebook' : 'Note moved successfully',
+      note_id: noteId,
+      notebook_id: notebookId
+    });
+  } catch (error) {
+    console.error('Error moving note:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Download an attachment (owner, public or shared note), with Range request support
+router.get('/:id/attachments/:attachmentId/download', requireAuth, async (req, res) => {
+  try {
+    const noteId = parseInt(req.params.id);
+    const attachmentId = parseInt(req.params.attachmentId);
+    const userId = req.session.userId;
+
+    if (isNaN(noteId) || isNaN(attachmentId)) {
+      return res.status(400).json({ error: 'Invalid note or attachment ID' });
+    }
+
+    // Same access rule as viewing the note: owner, public, or shared
+    const access = await getNoteAccess(noteId, userId);
+    if (!access) {
+      return res.status(404).json({ error: 'Note not found' });
+    }
+
+    const attachmentResult = await pool.query(
+      'SELECT original_filename, file_path, mime_type FROM note_attachments WHERE id = $1 AND note_id = $2',
+      [attachmentId, noteId]
+    );
+
+    if (attachmentResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+
+    await sendAttachment(req, res, attachmentResult.rows[0]);
+  } catch (error) {
+    console.error('Error downloading attachment:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Thumbnail of an image or PDF attachment (same access rule as downloading it)
+router.get('/:id/attachments/:attachmentId/thumbnail', requireAuth, async (req, res) => {
+  try {
+    const noteId = parseInt(req.params.id);
+    const attachmentId = parseInt(req.params.attachmentId);
+    const userId = req.session.userId;
+
+    if (isNaN(noteId) || isNaN(attachmentId)) {
+      return res.status(400).json({ error: 'Invalid note or attachment ID' });
+    }
+
+    const access = await getNoteAccess(noteId, userId);
+    if (!access) {
+      return res.status(404).json({ error: 'Note not found' });
+    }
+
+    const attachmentResult = await pool.query(
+      'SELECT thumbnail_path FROM note_attachments WHERE id = $1 AND note_id = $2',
+      [attachmentId, noteId]
+    );
+
+    if (attachmentResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+
+    await sendThumbnail(req, res, attachmentResult.rows[0]);
+  } catch (error) {
+    console.error('Error fetching attachment thumbnail:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete a specific attachment
+router.delete('/:id/attachments/:attachmentId', requireAuth, async (req, res) => {
+  try {
+    const noteId = parseInt(req.params.id);
+    const attachmentId = parseInt(req.params.attachmentId);
+    const userId = req.session.userId;
+
+    if (isNaN(noteId) || isNaN(attachmentId)) {
+      return res.status(400).json({ error: 'Invalid note or attachment ID' });
+    }
+
+    // Verify the user owns the note or has been granted edit access
+    const access = await getNoteAccess(noteId, userId);
+    if (!access) {
+      return res.status(404).json({ error: 'Note not found' });
+    }
+    if (access.permission === 'read') {
+      return res.status(403).json({ error: 'You do not have permission to edit this note' });
+    }
+
+    // Get attachment info
+    const attachmentResult = await pool.query(
+      'SELECT file_path, thumbnail_path FROM note_attachments WHERE id = $1 AND note_id = $2',
+      [attachmentId, noteId]
+    );
+
+    if (attachmentResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+
+    // Delete the stored file and its thumbnail
+    await deleteStoredFile(attachmentResult.rows[0].file_path);
+    await deleteStoredFile(attachmentResult.rows[0].thumbnail_path);
+
+    // Delete attachment from database
+    await pool.query(
+      'DELETE FROM note_attachments WHERE id = $1 AND note_id = $2',
+      [attachmentId, noteId]
+    );
+    await pool.query(
+      'UPDATE notes SET version = version + 1 WHERE id = $1',
+      [noteId]
+    );
+
+    res.json({
+      message: 'Attachment deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting attachment:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// List the revision history of a note
+router.get('/:id/revisions', requireAuth, async (req, res) => {
+  try {
+    const noteId = parseInt(req.params.id);
+    const userId = req.session.userId;
+
+    if (isNaN(noteId)) {
+      return res.status(400).json({ error: 'Invalid note ID' });
+    }
+
+    // Verify note belongs to user
+    const noteCheck = await pool.query(
+      'SELECT id FROM notes WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL',
+      [noteId, userId]
+    );
+
+    if (noteCheck.rows.length === 0) {
+      return res.status(404).json({ error: 'Note not found' });
+    }
+
+    const result = await pool.query(
+      `SELECT r.id, r.revision_number, r.title, LENGTH(r.content) AS content_length,
+              r.created_by, u.username AS created_by_username, r.restored_from, r.created_at
+       FROM note_revisions r
+       LEFT JOIN users u ON u.id = r.created_by
+       WHERE r.note_id = $1
+       ORDER BY r.revision_number DESC`,
+      [noteId]
+    );
+
+    res.json({
+      revisions: result.rows
+    });
+  } catch (error) {
+    console.error('Error fetching revisions:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Line-level diff between two revisions (?from=1&to=3; "to" defaults to the latest revision)
+router.get('/:id/revisions/diff', requireAuth, async (req, res) => {
+  try {
+    const noteId = parseInt(req.params.id);
+    const userId = req.session.userId;
+    const fromRev = parseInt(req.query.from);
+    const toRev = req.query.to === undefined ? null : parseInt(req.query.to);
+
+    if (isNaN(noteId)) {
+      return res.status(400).json({ error: 'Invalid note ID' });
+    }
+    if (isNaN(fromRev) || (toRev !== null && isNaN(toRev))) {
+      return res.status(400).json({ error: 'Invalid revision number' });
+    }
+
+    // Verify note belongs to user
+    const noteCheck = await pool.query(
+      'SELECT id FROM notes WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL',
+      [noteId, userId]
+    );
+
+    if (noteCheck.rows.length === 0) {
+      return res.status(404).json({ error: 'Note not found' });
+    }
+
+    const fromResult = await pool.query(
+      'SELECT revision_number, title, content, created_at FROM note_revisions WHERE note_id = $1 AND revision_number = $2',
+      [noteId, fromRev]
+    );
+    const toResult = toRev === null
+      ? await pool.query(
+        'SELECT revision_number, title, content, created_at FROM note_revisions WHERE note_id = $1 ORDER BY revision_number DESC LIMIT 1',
+        [noteId]
+      )
+      : await pool.query(
+        'SELECT revision_number, title, content, created_at FROM note_revisions WHERE note_id = $1 AND revision_number = $2',
+        [noteId, toRev]
+      );
+
+    if (fromResult.rows.length === 0 || toResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    const from = fromResult.rows[0];
+    const to = toResult.rows[0];
+    const contentDiff = buildLineDiff(from.content, to.content);
+
+    res.json({
+      from: { revision_number: from.revision_number, title: from.title, created_at: from.created_at },
+      to: { revision_number: to.revision_number, title: to.title, created_at: to.created_at },
+      title_changed: from.title !== to.title,
+      stats: contentDiff.stats,
+      lines: contentDiff.lines
+    });
+  } catch (error) {
+    console.error('Error diffing revisions:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get a single revision of a note
+router.get('/:id/revisions/:rev', requireAuth, async (req, res) => {
+  try {
+    const noteId = parseInt(req.params.id);
+    const revisionNumber = parseInt(req.params.rev);
+    const userId = req.session.userId;
+
+    if (isNaN(noteId) || isNaN(revisionNumber)) {
+      return res.status(400).json({ error: 'Invalid note ID or revision number' });
+    }
+
+    // Verify note belongs to user
+    const noteCheck = await pool.query(
+      'SELECT id FROM notes WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL',
+      [noteId, userId]
+    );
+
+    if (noteCheck.rows.length === 0) {
+      return res.status(404).json({ error: 'Note not found' });
+    }
+
+    const result = await pool.query(
+      `SELECT r.id, r.revision_number, r.title, r.content, r.created_by,
+              u.username AS created_by_username, r.restored_from, r.created_at
+       FROM note_revisions r
+       LEFT JOIN users u ON u.id = r.created_by
+       WHERE r.note_id = $1 AND r.revision_number = $2`,
+      [noteId, revisionNumber]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    res.json({
+      revision: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Error fetching revision:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Restore a note to an earlier revision (recorded as a new revision)
+router.post('/:id/revisions/:rev/restore', requireAuth, async (req, res) => {
+  const noteId = parseInt(req.params.id);
+  const revisionNumber = parseInt(req.params.rev);
+  const userId = req.session.userId;
+
+  if (isNaN(noteId) || isNaN(revisionNumber)) {
+    return res.status(400).json({ error: 'Invalid note ID or revision number' });
+  }
+
+  let client = null;
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    // Verify note belongs to user, locking it so the baseline below is the note as it is now
+    const noteCheck = await client.query(
+      'SELECT id, user_id, title, content, version FROM notes WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL FOR UPDATE',
+      [noteId, userId]
+    );
+
+    if (noteCheck.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Note not found' });
+    }
+
+    const note = noteCheck.rows[0];
+    if (!ifMatchSatisfied(req, noteETag(noteId, note.version))) {
+      await client.query('ROLLBACK');
+      return sendPreconditionFailed(res, noteId);
+    }
+
+    const revisionResult = await client.query(
+      'SELECT title, content FROM note_revisions WHERE note_id = $1 AND revision_number = $2',
+      [noteId, revisionNumber]
+    );
+
+    if (revisionResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    const revision = revisionResult.rows[0];
+    await ensureBaselineRevision(note, client);
+
+    const result = await client.query(
+      'UPDATE notes SET title = $1, content = $2, version = version + 1, updated_at = CURRENT_TIMESTAMP WHERE id = $3 AND user_id = $4 RETURNING id, title, content, is_public, version, created_at, updated_at',
+      [revision.title, revision.content, noteId, userId]
+    );
+
+    const newRevision = await recordRevision(noteId, userId, revision.title, revision.content, revisionNumber, client);
+
+    await client.query('COMMIT');
+
+    res.set('ETag', noteETag(noteId, result.rows[0].version));
+    res.json({
+      message: `Note restored to revision ${revisionNumber}`,
+      note: result.rows[0],
+      revision: newRevision
+    });
+  } catch (error) {
+    console.error('Error restoring revision:', error);
+    if (client) {
+      await client.query('ROLLBACK').catch(err => console.error('Error rolling back revision restore:', err));
+    }
+    res.status(500).json({ error: 'Internal server error' });
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+});
+
+// List the users a note is shared with
+router.get('/:id/shares', requireAuth, async (req, res) => {
+  try {
+    const noteId = parseInt(req.params.id);
+    const userId = req.session.userId;
+
+    if (isNaN(noteId)) {
+      return res.status(400).json({ error: 'Invalid note ID' });
+    }
+
+    // Verify note belongs to user
+    const noteCheck = await pool.query(
+      'SELECT id FROM notes WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL',
+      [noteId, userId]
+    );
+
+    if (noteCheck.rows.length === 0) {
+      return res.status(404).json({ error: 'Note not found' });
+    }
+
+    const result = await pool.query(
+      `SELECT s.user_id, u.username, s.permission, s.created_at
+       FROM note_shares s
+       JOIN users u ON u.id = s.user_id
+       WHERE s.note_id = $1
+       ORDER BY u.username ASC`,
+      [noteId]
+    );
+
+    res.json({
+      shares: result.rows
+    });
+  } catch (error) {
+    console.error('Error fetching shares:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Share a note with another user (or change their permission)
+router.post('/:id/shares', requireAuth, async (req, res) => {
+  try {
+    const noteId = parseInt(req.params.id);
+    const userId = req.session.userId;
+    const { user_id, username, permission } = req.body;
+
+    if (isNaN(noteId)) {
+      return res.status(400).json({ error: 'Invalid note ID' });
+    }
+    if (permission !== 'read' && permission !== 'edit') {
+      return res.status(400).json({ error: 'Permission must be "read" or "edit"' });
+    }
+    if (user_id === undefined && !username) {
+      return res.status(400).json({ error: 'A user ID or username is required' });
+    }
+
+    // Verify note belongs to user
+    const noteCheck = await pool.query(
+      'SELECT id FROM notes WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL',
+      [noteId, userId]
+    );
+
+    if (noteCheck.rows.length === 0) {
+      return res.status(404).json({ error: 'Note not found' });
+    }
+
+    // Look up the target user by ID or username
+    let targetResult;
+    if (user_id !== undefined) {
+      const targetUserId = parseInt(user_id);
+      if (isNaN(targetUserId)) {
+        return res.status(400).json({ error: 'Invalid user ID' });
+      }
+      targetResult = await pool.query('SELECT id, username FROM users WHERE id = $1', [targetUserId]);
+    } else {
+      targetResult = await pool.query('SELECT id, username FROM users WHERE username = $1', [String(username).trim()]);
+    }
+
+    if (targetResult.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const targetUser = targetResult.rows[0];
+    if (targetUser.id === userId) {
+      return res.status(400).json({ error: 'You cannot share a note with yourself' });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO note_shares (note_id, user_id, permission) VALUES ($1, $2, $3)
+       ON CONFLICT (note_id, user_id) DO UPDATE SET permission = EXCLUDED.permission
+       RETURNING user_id, permission, created_at`,
+      [noteId, targetUser.id, permission]
+    );
+
+    res.status(201).json({
+      message: `Note shared with ${targetUser.username}`,
+      share: { ...result.rows[0], username: targetUser.username }
+    });
+  } catch (error) {
+    console.error('Error sharing note:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Stop sharing a note with a user
+router.delete('/:id/shares/:userId', requireAuth, async (req, res) => {
+  try {
+    const noteId = parseInt(req.params.id);
+    const targetUserId = parseInt(req.params.userId);
+    const userId = req.session.userId;
+
+    if (isNaN(noteId) || isNaN(targetUserId)) {
+      return res.status(400).json({ error: 'Invalid note or user ID' });
     }
 
-    // Check if note exists and belongs to user
-    const checkResult = await pool.query(
-      'SELECT id FROM notes WHERE id = $1 AND user_id = $2',
+    // Verify note belongs to user
+    const noteCheck = await pool.query(
+      'SELECT id FROM notes WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL',
       [noteId, userId]
     );
 
-    if (checkResult.rows.length === 0) {
-      cleanupFiles(files);
+    if (noteCheck.rows.length === 0) {
       return res.status(404).json({ error: 'Note not found' });
     }
 
-    // Get is_public from body
-    const { is_public } = req.body;
-    const isPublic = is_public === 'true' || is_public === true;
-
-    // Update note
     const result = await pool.query(
-      'UPDATE notes SET title = $1, content = $2, is_public = $3, updated_at = CURRENT_TIMESTAMP WHERE id = $4 AND user_id = $5 RETURNING id, title, content, is_public, created_at, updated_at',
-      [sanitizedTitle, sanitizedContent, isPublic, noteId, userId]
+      'DELETE FROM note_shares WHERE note_id = $1 AND user_id = $2',
+      [noteId, targetUserId]
     );
 
-    // Save new file attachments
-    const attachments = [];
-    for (const file of files) {
-      const filePath = `/attachments/${file.filename}`;
-      const attachmentResult = await pool.query(
-        'INSERT INTO note_attachments (note_id, original_filename, stored_filename, file_path, file_size, mime_type) VALUES ($1, $2, $3, $4, $5, $6) RETURNING id, original_filename, stored_filename, file_path, file_size, mime_type, created_at',
-        [noteId, file.originalname, file.filename, filePath, file.size, file.mimetype]
-      );
-      attachments.push(attachmentResult.rows[0]);
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: 'Share not found' });
     }
 
     res.json({
-      message: 'Note updated successfully',
-      note: result.rows[0],
-      attachments: attachments
+      message: 'Share removed successfully'
     });
   } catch (error) {
-    console.error('Error updating note:', error);
-    // Clean up uploaded files on error
-    cleanupFiles(req.files);
+    console.error('Error removing share:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Delete a specific note by ID
-router.delete('/:id', requireAuth, async (req, res) => {
+// Share links (/s/:token) let anyone with the link read the note without an account
+const SHARE_LINK_MAX_DAYS = 365;
+
+function formatShareLink(link) {
+  return {
+    id: link.id,
+    url: `/s/${link.token}`,
+    has_password: link.password_hash !== null,
+    expires_at: link.expires_at,
+    expired: link.expires_at !== null && new Date(link.expires_at) <= new Date(),
+    view_count: link.view_count,
+    last_viewed_at: link.last_viewed_at,
+    created_at: link.created_at
+  };
+}
+
+// List a note's share links
+router.get('/:id/links', requireAuth, async (req, res) => {
   try {
     const noteId = parseInt(req.params.id);
     const userId = req.session.userId;
@@ -360,111 +2051,543 @@ router.delete('/:id', requireAuth, async (req, res) => {
       return res.status(400).json({ error: 'Invalid note ID' });
     }
 
-    // Check if note exists and belongs to user
-    const checkResult = await pool.query(
-      'SELECT id FROM notes WHERE id = $1 AND user_id = $2',
+    // Verify note belongs to user
+    const noteCheck = await pool.query(
+      'SELECT id FROM notes WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL',
       [noteId, userId]
     );
 
-    if (checkResult.rows.length === 0) {
+    if (noteCheck.rows.length === 0) {
       return res.status(404).json({ error: 'Note not found' });
     }
 
-    // Get all attachments for this note to delete files
-    const attachmentsResult = await pool.query(
-      'SELECT file_path FROM note_attachments WHERE note_id = $1',
+    const result = await pool.query(
+      `SELECT id, token, password_hash, expires_at, view_count, last_viewed_at, created_at
+       FROM share_links
+       WHERE note_id = $1
+       ORDER BY created_at DESC, id DESC`,
       [noteId]
     );
 
-    // Delete physical files (with path traversal protection)
-    attachmentsResult.rows.forEach(attachment => {
-      // Sanitize file path to prevent path traversal
-      const sanitizedPath = path.normalize(attachment.file_path).replace(/^(\.\.(\/|\\|$))+/, '');
-      const filePath = path.join(__dirname, '..', 'public', sanitizedPath);
-      
-      // Ensure the file path is within the public directory
-      const publicDir = path.join(__dirname, '..', 'public');
-      const resolvedPath = path.resolve(filePath);
-      const resolvedPublicDir = path.resolve(publicDir);
-      
-      if (resolvedPath.startsWith(resolvedPublicDir) && fs.existsSync(filePath)) {
-        fs.unlinkSync(filePath);
-      }
+    res.json({
+      links: result.rows.map(formatShareLink)
     });
+  } catch (error) {
+    console.error('Error fetching share links:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-    // Delete note (cascade will delete attachments from DB)
-    await pool.query(
-      'DELETE FROM notes WHERE id = $1 AND user_id = $2',
+// Create a share link ({ expires_in_days, password }, both optional)
+router.post('/:id/links', requireAuth, async (req, res) => {
+  try {
+    const noteId = parseInt(req.params.id);
+    const userId = req.session.userId;
+    const { expires_in_days, password } = req.body;
+
+    if (isNaN(noteId)) {
+      return res.status(400).json({ error: 'Invalid note ID' });
+    }
+
+    let expiresInDays = null;
+    if (expires_in_days !== undefined && expires_in_days !== null && expires_in_days !== '') {
+      expiresInDays = Number(expires_in_days);
+      if (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > SHARE_LINK_MAX_DAYS) {
+        return res.status(400).json({ error: `expires_in_days must be a whole number from 1 to ${SHARE_LINK_MAX_DAYS}` });
+      }
+    }
+
+    if (password !== undefined && password !== null && password !== '') {
+      if (typeof password !== 'string' || password.length < 4 || password.length > 128) {
+        return res.status(400).json({ error: 'Password must be between 4 and 128 characters' });
+      }
+    }
+
+    // Verify note belongs to user
+    const noteCheck = await pool.query(
+      'SELECT id FROM notes WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL',
       [noteId, userId]
     );
 
+    if (noteCheck.rows.length === 0) {
+      return res.status(404).json({ error: 'Note not found' });
+    }
+
+    const saltRounds = 10;
+    const passwordHash = password ? await bcrypt.hash(password, saltRounds) : null;
+    const token = crypto.randomBytes(24).toString('base64url');
+
+    const result = await pool.query(
+      `INSERT INTO share_links (note_id, token, password_hash, expires_at)
+       VALUES ($1, $2, $3, CASE WHEN $4::int IS NULL THEN NULL ELSE CURRENT_TIMESTAMP + make_interval(days => $4::int) END)
+       RETURNING id, token, password_hash, expires_at, view_count, last_viewed_at, created_at`,
+      [noteId, token, passwordHash, expiresInDays]
+    );
+
+    res.status(201).json({
+      message: 'Share link created',
+      link: formatShareLink(result.rows[0])
+    });
+  } catch (error) {
+    console.error('Error creating share link:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Revoke a share link
+router.delete('/:id/links/:linkId', requireAuth, async (req, res) => {
+  try {
+    const noteId = parseInt(req.params.id);
+    const linkId = parseInt(req.params.linkId);
+    const userId = req.session.userId;
+
+    if (isNaN(noteId) || isNaN(linkId)) {
+      return res.status(400).json({ error: 'Invalid note or link ID' });
+    }
+
+    const result = await pool.query(
+      `DELETE FROM share_links l
+       USING notes n
+       WHERE l.id = $1 AND l.note_id = $2 AND n.id = l.note_id AND n.user_id = $3
+       RETURNING l.id`,
+      [linkId, noteId, userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Share link not found' });
+    }
+
     res.json({
-      message: 'Note deleted successfully'
+      message: 'Share link revoked'
     });
   } catch (error) {
-    console.error('Error deleting note:', error);
+    console.error('Error revoking share link:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Delete a specific attachment
-router.delete('/:id/attachments/:attachmentId', requireAuth, async (req, res) => {
+// Comments, from anyone who can see the note. Replies nest under the comment they answer;
+// the note owner can hide or delete any comment and turn comments off for the note.
+const COMMENT_MAX_LENGTH = 5000;
+const COMMENTS_DEFAULT_LIMIT = 20;
+const COMMENTS_MAX_LIMIT = 100;
+
+const COMMENT_SELECT_SQL = `SELECT c.id, c.note_id, c.user_id, c.parent_id, c.thread_id, c.content, c.hidden_at, c.deleted_at,
+       c.created_at, c.updated_at, c.created_at::text AS cursor_value,
+       u.username AS author_username, COALESCE(u.avatar_thumbnail_path, u.avatar_path) AS author_avatar
+     FROM note_comments c
+     LEFT JOIN users u ON u.id = c.user_id`;
+
+function validateCommentContent(content) {
+  if (typeof content !== 'string' || content.trim().length === 0) {
+    return 'Comment cannot be empty';
+  }
+  if (content.trim().length > COMMENT_MAX_LENGTH) {
+    return `Comment must be ${COMMENT_MAX_LENGTH} characters or less`;
+  }
+  return null;
+}
+
+// Shape a comment for the viewer. Deleted comments that still have replies are kept as
+// placeholders; hidden comments are only readable by their author and the note owner.
+function formatComment(comment, access, userId) {
+  const isOwner = access.permission === 'owner';
+  const isAuthor = comment.user_id !== null && comment.user_id === userId;
+  const deleted = comment.deleted_at !== null;
+  const hidden = comment.hidden_at !== null;
+
+  return {
+    id: comment.id,
+    note_id: comment.note_id,
+    parent_id: comment.parent_id,
+    content: deleted || (hidden && !isOwner && !isAuthor) ? null : comment.content,
+    author: comment.user_id === null ? null : {
+      id: comment.user_id,
+      username: comment.author_username,
+      avatar_path: comment.author_avatar || null
+    },
+    created_at: comment.created_at,
+    updated_at: comment.updated_at,
+    edited: !deleted && comment.updated_at > comment.created_at,
+    hidden,
+    deleted,
+    can_edit: isAuthor && !deleted && access.note.comments_enabled,
+    can_delete: !deleted && (isAuthor || isOwner),
+    can_moderate: isOwner && !deleted,
+    replies: []
+  };
+}
+
+// Load a comment on a note the user can see (null if either is missing)
+async function getNoteComment(noteId, commentId, userId) {
+  const access = await getNoteAccess(noteId, userId);
+  if (!access) {
+    return null;
+  }
+
+  const result = await pool.query(
+    `${COMMENT_SELECT_SQL}
+     WHERE c.id = $1 AND c.note_id = $2`,
+    [commentId, noteId]
+  );
+  if (result.rows.length === 0) {
+    return null;
+  }
+  return { access, comment: result.rows[0] };
+}
+
+// List a note's comments as threads, oldest first, with every reply nested under its parent.
+// Threads are paginated with ?limit= and the next_cursor of the previous page (?cursor=).
+router.get('/:id/comments', requireAuth, async (req, res) => {
   try {
     const noteId = parseInt(req.params.id);
-    const attachmentId = parseInt(req.params.attachmentId);
     const userId = req.session.userId;
 
-    if (isNaN(noteId) || isNaN(attachmentId)) {
-      return res.status(400).json({ error: 'Invalid note or attachment ID' });
+    if (isNaN(noteId)) {
+      return res.status(400).json({ error: 'Invalid note ID' });
     }
 
-    // Verify note belongs to user
-    const noteCheck = await pool.query(
-      'SELECT id FROM notes WHERE id = $1 AND user_id = $2',
-      [noteId, userId]
+    let limit = COMMENTS_DEFAULT_LIMIT;
+    if (req.query.limit !== undefined) {
+      limit = parseInt(req.query.limit);
+      if (isNaN(limit) || limit < 1 || limit > COMMENTS_MAX_LIMIT) {
+        return res.status(400).json({ error: `limit must be between 1 and ${COMMENTS_MAX_LIMIT}` });
+      }
+    }
+
+    const access = await getNoteAccess(noteId, userId);
+    if (!access) {
+      return res.status(404).json({ error: 'Note not found' });
+    }
+
+    const conditions = ['c.note_id = $1', 'c.parent_id IS NULL'];
+    const values = [noteId];
+
+    // Keyset pagination on (created_at, id), like the note listings
+    if (req.query.cursor) {
+      let cursor = null;
+      try {
+        cursor = JSON.parse(Buffer.from(String(req.query.cursor), 'base64url').toString('utf8'));
+      } catch (err) {
+        cursor = null;
+      }
+      if (!cursor || typeof cursor.v !== 'string' || !Number.isInteger(cursor.id)) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+      }
+      values.push(cursor.v, cursor.id);
+      conditions.push(`(c.created_at, c.id) > ($${values.length - 1}::timestamp, $${values.length})`);
+    }
+
+    // Fetch one extra thread to know whether there is another page
+    values.push(limit + 1);
+
+    const threadsResult = await pool.query(
+      `${COMMENT_SELECT_SQL}
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY c.created_at ASC, c.id ASC
+       LIMIT $${values.length}`,
+      values
     );
 
-    if (noteCheck.rows.length === 0) {
+    const hasMore = threadsResult.rows.length > limit;
+    const threadRows = hasMore ? threadsResult.rows.slice(0, limit) : threadsResult.rows;
+    const lastRow = threadRows[threadRows.length - 1];
+
+    const repliesResult = threadRows.length === 0 ? { rows: [] } : await pool.query(
+      `${COMMENT_SELECT_SQL}
+       WHERE c.thread_id = ANY($1::int[])
+       ORDER BY c.created_at ASC, c.id ASC`,
+      [threadRows.map(row => row.id)]
+    );
+
+    const countResult = await pool.query(
+      'SELECT COUNT(*)::int AS count FROM note_comments WHERE note_id = $1 AND deleted_at IS NULL',
+      [noteId]
+    );
+
+    // Nest each reply under its parent (parents always sort before their replies)
+    const commentsById = new Map();
+    const comments = threadRows.map(row => {
+      const comment = formatComment(row, access, userId);
+      commentsById.set(comment.id, comment);
+      return comment;
+    });
+    repliesResult.rows.forEach(row => {
+      const reply = formatComment(row, access, userId);
+      const parent = commentsById.get(reply.parent_id);
+      if (parent) {
+        parent.replies.push(reply);
+        commentsById.set(reply.id, reply);
+      }
+    });
+
+    res.json({
+      comments,
+      comment_count: countResult.rows[0].count,
+      comments_enabled: access.note.comments_enabled,
+      can_moderate: access.permission === 'owner',
+      next_cursor: hasMore
+        ? Buffer.from(JSON.stringify({ v: lastRow.cursor_value, id: lastRow.id })).toString('base64url')
+        : null,
+      has_more: hasMore
+    });
+  } catch (error) {
+    console.error('Error fetching comments:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Comment on a note, or reply to one of its comments ({ content, parent_id })
+router.post('/:id/comments', requireAuth, async (req, res) => {
+  try {
+    const noteId = parseInt(req.params.id);
+    const userId = req.session.userId;
+    const { content, parent_id } = req.body;
+
+    if (isNaN(noteId)) {
+      return res.status(400).json({ error: 'Invalid note ID' });
+    }
+
+    const validationError = validateCommentContent(content);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    let parentId = null;
+    if (parent_id !== undefined && parent_id !== null) {
+      parentId = parseInt(parent_id);
+      if (isNaN(parentId)) {
+        return res.status(400).json({ error: 'Invalid parent comment ID' });
+      }
+    }
+
+    const access = await getNoteAccess(noteId, userId);
+    if (!access) {
       return res.status(404).json({ error: 'Note not found' });
     }
+    if (!access.note.comments_enabled) {
+      return res.status(403).json({ error: 'Comments are turned off for this note' });
+    }
 
-    // Get attachment info
-    const attachmentResult = await pool.query(
-      'SELECT file_path FROM note_attachments WHERE id = $1 AND note_id = $2',
-      [attachmentId, noteId]
+    let threadId = null;
+    if (parentId !== null) {
+      const parentResult = await pool.query(
+        'SELECT id, thread_id, hidden_at, deleted_at FROM note_comments WHERE id = $1 AND note_id = $2',
+        [parentId, noteId]
+      );
+      const parent = parentResult.rows[0];
+      if (!parent) {
+        return res.status(404).json({ error: 'Comment not found' });
+      }
+      if (parent.deleted_at !== null || parent.hidden_at !== null) {
+        return res.status(400).json({ error: 'You cannot reply to a deleted or hidden comment' });
+      }
+      threadId = parent.thread_id || parent.id;
+    }
+
+    const insertResult = await pool.query(
+      `INSERT INTO note_comments (note_id, user_id, parent_id, thread_id, content)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING id`,
+      [noteId, userId, parentId, threadId, content.trim()]
     );
 
-    if (attachmentResult.rows.length === 0) {
-      return res.status(404).json({ error: 'Attachment not found' });
+    const result = await pool.query(`${COMMENT_SELECT_SQL} WHERE c.id = $1`, [insertResult.rows[0].id]);
+
+    res.status(201).json({
+      message: 'Comment added',
+      comment: formatComment(result.rows[0], access, userId)
+    });
+  } catch (error) {
+    console.error('Error adding comment:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Turn comments on or off for a note ({ enabled }); existing comments stay visible
+router.put('/:id/comments/settings', requireAuth, async (req, res) => {
+  try {
+    const noteId = parseInt(req.params.id);
+    const userId = req.session.userId;
+    const { enabled } = req.body;
+
+    if (isNaN(noteId)) {
+      return res.status(400).json({ error: 'Invalid note ID' });
+    }
+    if (typeof enabled !== 'boolean') {
+      return res.status(400).json({ error: 'enabled must be true or false' });
     }
 
-    // Delete physical file (with path traversal protection)
-    const sanitizedPath = path.normalize(attachmentResult.rows[0].file_path).replace(/^(\.\.(\/|\\|$))+/, '');
-    const filePath = path.join(__dirname, '..', 'public', sanitizedPath);
-    
-    // Ensure the file path is within the public directory
-    const publicDir = path.join(__dirname, '..', 'public');
-    const resolvedPath = path.resolve(filePath);
-    const resolvedPublicDir = path.resolve(publicDir);
-    
-    if (resolvedPath.startsWith(resolvedPublicDir) && fs.existsSync(filePath)) {
-      fs.unlinkSync(filePath);
+    const result = await pool.query(
+      `UPDATE notes SET comments_enabled = $1
+       WHERE id = $2 AND user_id = $3 AND deleted_at IS NULL
+       RETURNING comments_enabled`,
+      [enabled, noteId, userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Note not found' });
+    }
+
+    res.json({
+      message: enabled ? 'Comments turned on' : 'Comments turned off',
+      comments_enabled: result.rows[0].comments_enabled
+    });
+  } catch (error) {
+    console.error('Error updating comment settings:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Edit your own comment ({ content })
+router.put('/:id/comments/:commentId', requireAuth, async (req, res) => {
+  try {
+    const noteId = parseInt(req.params.id);
+    const commentId = parseInt(req.params.commentId);
+    const userId = req.session.userId;
+    const { content } = req.body;
+
+    if (isNaN(noteId) || isNaN(commentId)) {
+      return res.status(400).json({ error: 'Invalid note or comment ID' });
+    }
+
+    const validationError = validateCommentContent(content);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const found = await getNoteComment(noteId, commentId, userId);
+    if (!found || found.comment.deleted_at !== null) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+    if (found.comment.user_id !== userId) {
+      return res.status(403).json({ error: 'You can only edit your own comments' });
+    }
+    if (!found.access.note.comments_enabled) {
+      return res.status(403).json({ error: 'Comments are turned off for this note' });
     }
 
-    // Delete attachment from database
     await pool.query(
-      'DELETE FROM note_attachments WHERE id = $1 AND note_id = $2',
-      [attachmentId, noteId]
+      'UPDATE note_comments SET content = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+      [content.trim(), commentId]
     );
 
+    const result = await pool.query(`${COMMENT_SELECT_SQL} WHERE c.id = $1`, [commentId]);
+
     res.json({
-      message: 'Attachment deleted successfully'
+      message: 'Comment updated',
+      comment: formatComment(result.rows[0], found.access, userId)
     });
   } catch (error) {
-    console.error('Error deleting attachment:', error);
+    console.error('Error updating comment:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete a comment (its author or the note owner). A comment with replies is blanked
+// and kept as a placeholder so the thread still reads; one without is removed outright,
+// along with any deleted placeholders it was the last reply to.
+router.delete('/:id/comments/:commentId', requireAuth, async (req, res) => {
+  const noteId = parseInt(req.params.id);
+  const commentId = parseInt(req.params.commentId);
+  const userId = req.session.userId;
+
+  if (isNaN(noteId) || isNaN(commentId)) {
+    return res.status(400).json({ error: 'Invalid note or comment ID' });
+  }
+
+  let client = null;
+  try {
+    const found = await getNoteComment(noteId, commentId, userId);
+    if (!found || found.comment.deleted_at !== null) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+    if (found.comment.user_id !== userId && found.access.permission !== 'owner') {
+      return res.status(403).json({ error: 'You can only delete your own comments' });
+    }
+
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    const blanked = await client.query(
+      `UPDATE note_comments SET content = '', deleted_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND EXISTS (SELECT 1 FROM note_comments r WHERE r.parent_id = $1)`,
+      [commentId]
+    );
+
+    if (blanked.rowCount === 0) {
+      let removed = await client.query('DELETE FROM note_comments WHERE id = $1 RETURNING parent_id', [commentId]);
+      while (removed.rows.length > 0 && removed.rows[0].parent_id !== null) {
+        removed = await client.query(
+          `DELETE FROM note_comments c
+           WHERE c.id = $1 AND c.deleted_at IS NOT NULL
+             AND NOT EXISTS (SELECT 1 FROM note_comments r WHERE r.parent_id = c.id)
+           RETURNING c.parent_id`,
+          [removed.rows[0].parent_id]
+        );
+      }
+    }
+
+    await client.query('COMMIT');
+
+    res.json({
+      message: 'Comment deleted'
+    });
+  } catch (error) {
+    console.error('Error deleting comment:', error);
+    if (client) {
+      await client.query('ROLLBACK').catch(err => console.error('Error rolling back comment deletion:', err));
+    }
     res.status(500).json({ error: 'Internal server error' });
+  } finally {
+    if (client) {
+      client.release();
+    }
   }
 });
 
+// Hide or show a comment on your note; hidden comments are only readable by their author
+// and the note owner
+async function setCommentHidden(req, res, hidden) {
+  try {
+    const noteId = parseInt(req.params.id);
+    const commentId = parseInt(req.params.commentId);
+    const userId = req.session.userId;
+
+    if (isNaN(noteId) || isNaN(commentId)) {
+      return res.status(400).json({ error: 'Invalid note or comment ID' });
+    }
+
+    const found = await getNoteComment(noteId, commentId, userId);
+    if (!found || found.comment.deleted_at !== null) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+    if (found.access.permission !== 'owner') {
+      return res.status(403).json({ error: 'Only the note owner can moderate comments' });
+    }
+
+    const result = await pool.query(
+      `UPDATE note_comments SET hidden_at = ${hidden ? 'COALESCE(hidden_at, CURRENT_TIMESTAMP)' : 'NULL'}
+       WHERE id = $1
+       RETURNING id`,
+      [commentId]
+    );
+
+    const commentResult = await pool.query(`${COMMENT_SELECT_SQL} WHERE c.id = $1`, [result.rows[0].id]);
+
+    res.json({
+      message: hidden ? 'Comment hidden' : 'Comment shown',
+      comment: formatComment(commentResult.rows[0], found.access, userId)
+    });
+  } catch (error) {
+    console.error('Error moderating comment:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+router.post('/:id/comments/:commentId/hide', requireAuth, (req, res) => setCommentHidden(req, res, true));
+
+router.post('/:id/comments/:commentId/unhide', requireAuth, (req, res) => setCommentHidden(req, res, false));
+
 module.exports = router;
 
@@ -1,19 +1,25 @@
 const express = require('express');
 const multer = require('multer');
 const path = require('path');
-const fs = require('fs');
 const { pool } = require('../db');
+const { requireAuth, requireScope } = require('../auth');
+const { createAvatarThumbnail } = require('../thumbnails');
+const { checkUpload } = require('../filecheck');
+const { getStorageUsage } = require('../quota');
+const { uploadTempDir, ensureStorageDirs, removeTempFile, storeFile, deleteStoredFile, avatarKey } = require('../storage');
 
 const router = express.Router();
 
-// Configure multer for file uploads
-const storage = multer.diskStorage({
+// Token requests need the profile:read / profile:write scopes
+router.use(requireScope('profile'));
+
+// Configure multer for file uploads. Avatars go to a temp directory to be checked, then
+// into storage (see storage.js), and are served from /avatars.
+ensureStorageDirs();
+
+const uploadStorage = multer.diskStorage({
   destination: function (req, file, cb) {
-    const uploadsDir = path.join(__dirname, '..', 'public', 'uploads');
-    if (!fs.existsSync(uploadsDir)) {
-      fs.mkdirSync(uploadsDir, { recursive: true });
-    }
-    cb(null, uploadsDir);
+    cb(null, uploadTempDir);
   },
   filename: function (req, file, cb) {
     // Generate unique filename: userId-timestamp-originalname
@@ -25,7 +31,7 @@ const storage = multer.diskStorage({
 });
 
 const upload = multer({
-  storage: storage,
+  storage: uploadStorage,
   limits: {
     fileSize: 5 * 1024 * 1024 // 5MB limit
   },
@@ -43,19 +49,16 @@ const upload = multer({
   }
 });
 
-// Middleware to check if user is authenticated
-function requireAuth(req, res, next) {
-  if (!req.session.userId) {
-    return res.status(401).json({ error: 'Authentication required' });
-  }
-  next();
-}
+// Follower / following counts of the user row being selected
+const FOLLOW_COUNTS_SQL = `(SELECT COUNT(*)::int FROM follows f WHERE f.followee_id = users.id) AS follower_count,
+  (SELECT COUNT(*)::int FROM follows f WHERE f.follower_id = users.id) AS following_count`;
 
 // Get current user's profile
 router.get('/me', requireAuth, async (req, res) => {
   try {
     const result = await pool.query(
-      'SELECT id, username, description, avatar_path, created_at FROM users WHERE id = $1',
+      `SELECT id, username, description, avatar_path, avatar_thumbnail_path, created_at, ${FOLLOW_COUNTS_SQL}
+       FROM users WHERE id = $1`,
       [req.session.userId]
     );
 
@@ -70,7 +73,10 @@ router.get('/me', requireAuth, async (req, res) => {
         username: user.username,
         description: user.description || '',
         avatar_path: user.avatar_path || null,
-        created_at: user.created_at
+        avatar_thumbnail_path: user.avatar_thumbnail_path || null,
+        created_at: user.created_at,
+        follower_count: user.follower_count,
+        following_count: user.following_count
       }
     });
   } catch (error) {
@@ -79,51 +85,112 @@ router.get('/me', requireAuth, async (req, res) => {
   }
 });
 
-// Update profile (description and/or avatar)
-router.put('/me', requireAuth, upload.single('avatar'), async (req, res) => {
+const LARGEST_ATTACHMENTS_LIMIT = 10;
+
+// Get the current user's storage usage: bytes used against their quota, note counts and
+// their largest attachments. Notes in the trash still count until they are purged.
+router.get('/me/usage', requireAuth, async (req, res) => {
   try {
-    const { description } = req.body;
     const userId = req.session.userId;
+    const { bytesUsed, quotaBytes } = await getStorageUsage(userId);
 
-    // Get current avatar path
-    const currentUser = await pool.query(
-      'SELECT avatar_path FROM users WHERE id = $1',
+    const countsResult = await pool.query(
+      `SELECT COUNT(*) FILTER (WHERE n.deleted_at IS NULL)::int AS note_count,
+              COUNT(*) FILTER (WHERE n.deleted_at IS NOT NULL)::int AS trashed_note_count,
+              (SELECT COUNT(*)::int FROM note_attachments a JOIN notes an ON an.id = a.note_id WHERE an.user_id = $1) AS attachment_count
+       FROM notes n
+       WHERE n.user_id = $1`,
       [userId]
     );
 
-    let avatarPath = currentUser.rows[0]?.avatar_path;
+    const largestResult = await pool.query(
+      `SELECT a.id, a.note_id, n.title AS note_title, n.deleted_at IS NOT NULL AS in_trash,
+              a.original_filename, a.file_size, a.mime_type, a.created_at
+       FROM note_attachments a
+       JOIN notes n ON n.id = a.note_id
+       WHERE n.user_id = $1
+       ORDER BY a.file_size DESC, a.id DESC
+       LIMIT $2`,
+      [userId, LARGEST_ATTACHMENTS_LIMIT]
+    );
 
-    // If new avatar uploaded, delete old one and update path
-    if (req.file) {
-      // Delete old avatar if it exists (with path traversal protection)
-      if (avatarPath) {
-        const sanitizedPath = path.normalize(avatarPath).replace(/^(\.\.(\/|\\|$))+/, '');
-        const oldAvatarPath = path.join(__dirname, '..', 'public', sanitizedPath);
-        
-        // Ensure the file path is within the public directory
-        const publicDir = path.join(__dirname, '..', 'public');
-        const resolvedPath = path.resolve(oldAvatarPath);
-        const resolvedPublicDir = path.resolve(publicDir);
-        
-        if (resolvedPath.startsWith(resolvedPublicDir) && fs.existsSync(oldAvatarPath)) {
-          fs.unlinkSync(oldAvatarPath);
-        }
+    res.json({
+      usage: {
+        bytes_used: bytesUsed,
+        quota_bytes: quotaBytes,
+        bytes_remaining: quotaBytes === null ? null : Math.max(quotaBytes - bytesUsed, 0),
+        note_count: countsResult.rows[0].note_count,
+        trashed_note_count: countsResult.rows[0].trashed_note_count,
+        attachment_count: countsResult.rows[0].attachment_count,
+        largest_attachments: largestResult.rows.map(attachment => ({
+          ...attachment,
+          download_url: attachment.in_trash ? null : `/api/notes/${attachment.note_id}/attachments/${attachment.id}/download`
+        }))
       }
-      // Set new avatar path (relative to public directory)
-      avatarPath = `/uploads/${req.file.filename}`;
-    }
+    });
+  } catch (error) {
+    console.error('Error fetching storage usage:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update profile (description and/or avatar)
+router.put('/me', requireAuth, upload.single('avatar'), async (req, res) => {
+  // Keys of the new avatar files once stored, removed again if the update fails
+  let storedAvatarKeys = [];
+  try {
+    const { description } = req.body;
+    const userId = req.session.userId;
 
-    // Validate and sanitize description
+    // Validate the description before storing anything
     if (description !== undefined && description !== null) {
       if (typeof description !== 'string') {
+        removeTempFile(req.file && req.file.path);
         return res.status(400).json({ error: 'Description must be a string' });
       }
       // Limit description length (e.g., 1000 characters)
       if (description.length > 1000) {
+        removeTempFile(req.file && req.file.path);
         return res.status(400).json({ error: 'Description must be 1000 characters or less' });
       }
     }
 
+    // Get current avatar paths
+    const currentUser = await pool.query(
+      'SELECT avatar_path, avatar_thumbnail_path FROM users WHERE id = $1',
+      [userId]
+    );
+
+    const previousAvatarPath = currentUser.rows[0]?.avatar_path;
+    const previousAvatarThumbnailPath = currentUser.rows[0]?.avatar_thumbnail_path;
+    let avatarPath = previousAvatarPath;
+    let avatarThumbnailPath = previousAvatarThumbnailPath;
+
+    // If a new avatar was uploaded, store it; the old one is deleted once the update succeeds
+    if (req.file) {
+      const rejection = await checkUpload(req.file.path, req.file.mimetype, req.file.originalname);
+      if (rejection) {
+        removeTempFile(req.file.path);
+        return res.status(rejection.status).json({ error: rejection.error, filename: rejection.filename });
+      }
+
+      // Creating the thumbnail also checks the upload is an image we can read
+      let thumbnailKey;
+      try {
+        thumbnailKey = await createAvatarThumbnail(req.file.path, req.file.filename);
+      } catch (err) {
+        removeTempFile(req.file.path);
+        return res.status(400).json({ error: 'Avatar must be a valid image file' });
+      }
+      storedAvatarKeys.push(thumbnailKey);
+      await storeFile(`avatars/${req.file.filename}`, req.file.path, req.file.mimetype);
+      storedAvatarKeys.push(`avatars/${req.file.filename}`);
+
+      // Set new avatar paths (URLs served by the /avatars route)
+      avatarPath = `/avatars/${req.file.filename}`;
+      avatarThumbnailPath = `/${thumbnailKey}`;
+    }
+
     // Update user profile
     const updateFields = [];
     const updateValues = [];
@@ -140,6 +207,9 @@ router.put('/me', requireAuth, upload.single('avatar'), async (req, res) => {
       updateFields.push(`avatar_path = $${paramCount}`);
       updateValues.push(avatarPath);
       paramCount++;
+      updateFields.push(`avatar_thumbnail_path = $${paramCount}`);
+      updateValues.push(avatarThumbnailPath || null);
+      paramCount++;
     }
 
     if (updateFields.length === 0) {
@@ -152,10 +222,17 @@ router.put('/me', requireAuth, upload.single('avatar'), async (req, res) => {
       UPDATE users 
       SET ${updateFields.join(', ')} 
       WHERE id = $${paramCount}
-      RETURNING id, username, description, avatar_path, created_at
+      RETURNING id, username, description, avatar_path, avatar_thumbnail_path, created_at
     `;
 
     const result = await pool.query(query, updateValues);
+    storedAvatarKeys = [];
+
+    // Delete the old avatar and its thumbnail now that nothing points at them
+    if (req.file) {
+      await deleteStoredFile(avatarKey(previousAvatarPath));
+      await deleteStoredFile(avatarKey(previousAvatarThumbnailPath));
+    }
 
     res.json({
       message: 'Profile updated successfully',
@@ -164,11 +241,18 @@ router.put('/me', requireAuth, upload.single('avatar'), async (req, res) => {
         username: result.rows[0].username,
         description: result.rows[0].description || '',
         avatar_path: result.rows[0].avatar_path || null,
+        avatar_thumbnail_path: result.rows[0].avatar_thumbnail_path || null,
         created_at: result.rows[0].created_at
       }
     });
   } catch (error) {
     console.error('Error updating profile:', error);
+    if (req.file) {
+      removeTempFile(req.file.path);
+    }
+    for (const key of storedAvatarKeys) {
+      await deleteStoredFile(key);
+    }
     res.status(500).json({ error: 'Internal server error' });
   }
 });
@@ -177,7 +261,10 @@ router.put('/me', requireAuth, upload.single('avatar'), async (req, res) => {
 router.get('/users', requireAuth, async (req, res) => {
   try {
     const result = await pool.query(
-      'SELECT id, username, description, avatar_path, created_at FROM users ORDER BY username ASC'
+      `SELECT id, username, description, avatar_path, avatar_thumbnail_path, created_at, ${FOLLOW_COUNTS_SQL},
+              EXISTS (SELECT 1 FROM follows f WHERE f.follower_id = $1 AND f.followee_id = users.id) AS is_following
+       FROM users ORDER BY username ASC`,
+      [req.session.userId]
     );
 
     res.json({
@@ -186,7 +273,11 @@ router.get('/users', requireAuth, async (req, res) => {
         username: user.username,
         description: user.description || '',
         avatar_path: user.avatar_path || null,
-        created_at: user.created_at
+        avatar_thumbnail_path: user.avatar_thumbnail_path || null,
+        created_at: user.created_at,
+        follower_count: user.follower_count,
+        following_count: user.following_count,
+        is_following: user.is_following
       }))
     });
   } catch (error) {
@@ -205,8 +296,10 @@ router.get('/user/:userId', requireAuth, async (req, res) => {
     }
 
     const result = await pool.query(
-      'SELECT id, username, description, avatar_path, created_at FROM users WHERE id = $1',
-      [targetUserId]
+      `SELECT id, username, description, avatar_path, avatar_thumbnail_path, created_at, ${FOLLOW_COUNTS_SQL},
+              EXISTS (SELECT 1 FROM follows f WHERE f.follower_id = $2 AND f.followee_id = users.id) AS is_following
+       FROM users WHERE id = $1`,
+      [targetUserId, req.session.userId]
     );
 
     if (result.rows.length === 0) {
@@ -219,7 +312,11 @@ router.get('/user/:userId', requireAuth, async (req, res) => {
         username: result.rows[0].username,
         description: result.rows[0].description || '',
         avatar_path: result.rows[0].avatar_path || null,
-        created_at: result.rows[0].created_at
+        avatar_thumbnail_path: result.rows[0].avatar_thumbnail_path || null,
+        created_at: result.rows[0].created_at,
+        follower_count: result.rows[0].follower_count,
+        following_count: result.rows[0].following_count,
+        is_following: result.rows[0].is_following
       }
     });
   } catch (error) {
@@ -228,5 +325,78 @@ router.get('/user/:userId', requireAuth, async (req, res) => {
   }
 });
 
+// Count of a user's followers, for follow / unfollow responses
+async function getFollowerCount(userId) {
+  const result = await pool.query(
+    'SELECT COUNT(*)::int AS count FROM follows WHERE followee_id = $1',
+    [userId]
+  );
+  return result.rows[0].count;
+}
+
+// Follow a user: their public notes show up in your feed (GET /api/feed)
+router.post('/user/:userId/follow', requireAuth, async (req, res) => {
+  try {
+    const targetUserId = parseInt(req.params.userId);
+    const userId = req.session.userId;
+
+    if (isNaN(targetUserId)) {
+      return res.status(400).json({ error: 'Invalid user ID' });
+    }
+    if (targetUserId === userId) {
+      return res.status(400).json({ error: 'You cannot follow yourself' });
+    }
+
+    const userResult = await pool.query('SELECT username FROM users WHERE id = $1', [targetUserId]);
+    if (userResult.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    // Following someone you already follow is not an error
+    const result = await pool.query(
+      'INSERT INTO follows (follower_id, followee_id) VALUES ($1, $2) ON CONFLICT DO NOTHING',
+      [userId, targetUserId]
+    );
+
+    res.status(result.rowCount > 0 ? 201 : 200).json({
+      message: `You are now following ${userResult.rows[0].username}`,
+      is_following: true,
+      follower_count: await getFollowerCount(targetUserId)
+    });
+  } catch (error) {
+    console.error('Error following user:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Unfollow a user
+router.delete('/user/:userId/follow', requireAuth, async (req, res) => {
+  try {
+    const targetUserId = parseInt(req.params.userId);
+
+    if (isNaN(targetUserId)) {
+      return res.status(400).json({ error: 'Invalid user ID' });
+    }
+
+    const result = await pool.query(
+      'DELETE FROM follows WHERE follower_id = $1 AND followee_id = $2',
+      [req.session.userId, targetUserId]
+    );
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: 'You are not following this user' });
+    }
+
+    res.json({
+      message: 'Unfollowed',
+      is_following: false,
+      follower_count: await getFollowerCount(targetUserId)
+    });
+  } catch (error) {
+    console.error('Error unfollowing user:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 module.exports = router;
 
@@ -0,0 +1,33 @@
+const express = require('express');
+const { pool } = require('../db');
+const { requireAuth, requireScope } = require('../auth');
+
+const router = express.Router();
+
+// Token requests need the notes:read / notes:write scopes
+router.use(requireScope('notes'));
+
+// Get the current user's tags with the number of notes using each
+router.get('/', requireAuth, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT t.id, t.name, COUNT(nt.note_id)::int AS note_count
+       FROM tags t
+       LEFT JOIN note_tags nt ON nt.tag_id = t.id
+         AND nt.note_id IN (SELECT id FROM notes WHERE deleted_at IS NULL)
+       WHERE t.user_id = $1
+       GROUP BY t.id, t.name
+       ORDER BY note_count DESC, t.name ASC`,
+      [req.session.userId]
+    );
+
+    res.json({
+      tags: result.rows
+    });
+  } catch (error) {
+    console.error('Error fetching tags:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,135 @@
+const net = require('net');
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const { quarantineDir, ensureStorageDirs } = require('./storage');
+
+// Optional malware scanning of uploads, before they are stored as attachments or avatars.
+// UPLOAD_SCANNER picks the scanner:
+//   clamd   - a ClamAV daemon, over CLAMD_SOCKET or CLAMD_HOST / CLAMD_PORT
+//   command - UPLOAD_SCAN_COMMAND, run with the file path as its last argument. Exit code 0
+//             means clean and 1 means infected (the convention of clamscan / clamdscan).
+// Other scanners can be plugged in with setScanner(). Infected files are moved to
+// storage/quarantine instead of being deleted, so they can be inspected.
+
+const SCAN_TIMEOUT_MS = parseInt(process.env.UPLOAD_SCAN_TIMEOUT_MS) || 60000;
+const CHUNK_SIZE = 64 * 1024;
+
+// Stream a file to clamd with the INSTREAM command
+function scanWithClamd(filePath) {
+  return new Promise((resolve, reject) => {
+    const socket = process.env.CLAMD_SOCKET
+      ? net.createConnection(process.env.CLAMD_SOCKET)
+      : net.createConnection(parseInt(process.env.CLAMD_PORT) || 3310, process.env.CLAMD_HOST || '127.0.0.1');
+    let response = '';
+
+    socket.setTimeout(SCAN_TIMEOUT_MS);
+    socket.on('timeout', () => socket.destroy(new Error('ClamAV scan timed out')));
+    socket.on('error', reject);
+
+    socket.on('connect', () => {
+      socket.write('zINSTREAM\0');
+
+      // Each chunk is prefixed with its length; a zero length ends the stream
+      const stream = fs.createReadStream(filePath, { highWaterMark: CHUNK_SIZE });
+      stream.on('data', chunk => {
+        const size = Buffer.alloc(4);
+        size.writeUInt32BE(chunk.length);
+        socket.write(size);
+        if (!socket.write(chunk)) {
+          stream.pause();
+          socket.once('drain', () => stream.resume());
+        }
+      });
+      stream.on('end', () => socket.write(Buffer.alloc(4)));
+      stream.on('error', error => socket.destroy(error));
+    });
+
+    socket.on('data', data => {
+      response += data.toString();
+    });
+
+    // clamd answers "stream: OK" or "stream: <signature> FOUND", then closes the connection
+    socket.on('end', () => {
+      const result = response.replace(/\0/g, '').trim();
+      const found = /^stream: (.+) FOUND$/.exec(result);
+      if (result === 'stream: OK') {
+        resolve({ clean: true });
+      } else if (found) {
+        resolve({ clean: false, threat: found[1] });
+      } else {
+        reject(new Error(`Unexpected ClamAV response: ${result}`));
+      }
+    });
+  });
+}
+
+// Run UPLOAD_SCAN_COMMAND on a file
+function scanWithCommand(filePath) {
+  const [command, ...args] = process.env.UPLOAD_SCAN_COMMAND.split(/\s+/).filter(Boolean);
+
+  return new Promise((resolve, reject) => {
+    execFile(command, [...args, filePath], { timeout: SCAN_TIMEOUT_MS }, (error, stdout) => {
+      if (!error) {
+        return resolve({ clean: true });
+      }
+      if (error.code === 1) {
+        // clamscan prints "<path>: <signature> FOUND"
+        const found = /: (.+) FOUND$/m.exec(stdout);
+        return resolve({ clean: false, threat: found ? found[1] : 'Malware detected' });
+      }
+      reject(error);
+    });
+  });
+}
+
+function scannerFromEnv() {
+  const name = (process.env.UPLOAD_SCANNER || '').toLowerCase();
+  if (!name) return null;
+  if (name === 'clamd') return scanWithClamd;
+  if (name === 'command' && process.env.UPLOAD_SCAN_COMMAND) return scanWithCommand;
+
+  throw new Error(`Invalid UPLOAD_SCANNER "${process.env.UPLOAD_SCANNER}" (use clamd, or command with UPLOAD_SCAN_COMMAND)`);
+}
+
+// async (filePath) => { clean: true } or { clean: false, threat }
+let scanner = scannerFromEnv();
+
+// Replace the scanner (null turns scanning off)
+function setScanner(newScanner) {
+  scanner = newScanner;
+}
+
+// Move an infected upload out of the upload directories
+function quarantineFile(filePath) {
+  ensureStorageDirs();
+  const quarantinePath = path.join(quarantineDir, `${Date.now()}-${path.basename(filePath)}`);
+  try {
+    fs.renameSync(filePath, quarantinePath);
+  } catch (err) {
+    // rename fails across filesystems, so fall back to copy and delete
+    fs.copyFileSync(filePath, quarantinePath);
+    fs.unlinkSync(filePath);
+  }
+  return quarantinePath;
+}
+
+// Scan a file, quarantining it if it is infected. Throws if the scanner fails, so
+// callers can refuse uploads that couldn't be scanned.
+async function scanFile(filePath) {
+  if (!scanner) {
+    return { clean: true };
+  }
+
+  const result = await scanner(filePath);
+  if (!result.clean) {
+    const quarantinePath = quarantineFile(filePath);
+    console.warn(`Quarantined upload ${path.basename(filePath)} (${result.threat}) at ${quarantinePath}`);
+  }
+  return result;
+}
+
+module.exports = {
+  setScanner,
+  scanFile
+};
@@ -1,13 +1,23 @@
 const express = require('express');
 const session = require('express-session');
+const PgSession = require('connect-pg-simple')(session);
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const path = require('path');
-const fs = require('fs');
-const { initializeDatabase } = require('./db');
+const { pool, initializeDatabase } = require('./db');
+const { ensureStorageDirs } = require('./storage');
+const { authenticateBearerToken } = require('./auth');
+const { setupCollaboration } = require('./collab');
+const { startTrashPurge } = require('./trash');
 const authRoutes = require('./routes/auth');
 const profileRoutes = require('./routes/profile');
 const notesRoutes = require('./routes/notes');
+const tagsRoutes = require('./routes/tags');
+const notebooksRoutes = require('./routes/notebooks');
+const adminRoutes = require('./routes/admin');
+const linksRoutes = require('./routes/links');
+const filesRoutes = require('./routes/files');
+const feedRoutes = require('./routes/feed');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -47,6 +57,11 @@ const authLimiter = rateLimit({
 
 app.use('/api/auth/login', authLimiter);
 app.use('/api/auth/register', authLimiter);
+app.use('/api/auth/2fa/disable', authLimiter);
+app.use('/api/auth/2fa/recovery-codes', authLimiter);
+app.use('/api/auth/password', authLimiter);
+app.use('/api/auth/account', authLimiter);
+app.use('/api/s/:token/unlock', authLimiter);
 app.use(generalLimiter);
 
 // Middleware
@@ -54,17 +69,8 @@ app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 app.use(express.static(path.join(__dirname, 'public')));
 
-// Ensure uploads directory exists
-const uploadsDir = path.join(__dirname, 'public', 'uploads');
-if (!fs.existsSync(uploadsDir)) {
-  fs.mkdirSync(uploadsDir, { recursive: true });
-}
-
-// Ensure attachments directory exists
-const attachmentsDir = path.join(__dirname, 'public', 'attachments');
-if (!fs.existsSync(attachmentsDir)) {
-  fs.mkdirSync(attachmentsDir, { recursive: true });
-}
+// Ensure the upload temp and quarantine directories exist
+ensureStorageDirs();
 
 // Session configuration
 if (!process.env.SESSION_SECRET) {
@@ -74,7 +80,15 @@ if (!process.env.SESSION_SECRET) {
   }
 }
 
-app.use(session({
+// API requests may authenticate with a personal access token instead of a session cookie
+app.use('/api', authenticateBearerToken);
+
+const sessionMiddleware = session({
+  // Sessions are stored in Postgres (table created by the baseline migration)
+  store: new PgSession({
+    pool: pool,
+    tableName: 'user_sessions'
+  }),
   secret: process.env.SESSION_SECRET || 'vibenotes-dev-secret-change-in-production',
   resave: false,
   saveUninitialized: false,
@@ -85,12 +99,20 @@ app.use(session({
     sameSite: 'strict', // CSRF protection
     maxAge: 24 * 60 * 60 * 1000 // 24 hours
   }
-}));
+});
+
+app.use(sessionMiddleware);
 
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/profile', profileRoutes);
 app.use('/api/notes', notesRoutes);
+app.use('/api/tags', tagsRoutes);
+app.use('/api/notebooks', notebooksRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/feed', feedRoutes);
+app.use('/api/s', linksRoutes); // Share links, readable without an account
+app.use(filesRoutes); // Avatars and signed storage URLs
 
 // Serve HTML pages
 app.get('/', (req, res) => {
@@ -113,6 +135,22 @@ app.get('/users', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'users.html'));
 });
 
+app.get('/admin', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'admin.html'));
+});
+
+app.get('/trash', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'trash.html'));
+});
+
+app.get('/feed', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'feed.html'));
+});
+
+app.get('/s/:token', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'shared-note.html'));
+});
+
 app.get('/notes', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'notes.html'));
 });
@@ -133,9 +171,15 @@ app.get('/notes/:id', (req, res) => {
 async function startServer() {
   try {
     await initializeDatabase();
-    app.listen(PORT, () => {
+    const server = app.listen(PORT, () => {
       console.log(`Server is running on http://localhost:${PORT}`);
     });
+
+    // Collaborative editing WebSockets share the session cookie
+    setupCollaboration(server, sessionMiddleware);
+
+    // Permanently delete notes that have been in the trash past the retention period
+    startTrashPurge();
   } catch (error) {
     console.error('Failed to start server:', error);
     process.exit(1);
@@ -0,0 +1,97 @@
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+
+// Stores files on the local disk under STORAGE_DIR. Signed URLs point at the app's
+// /files route (see routes/files.js), which checks the signature and streams the file.
+
+function createLocalDriver({ root, signingSecret }) {
+  // Resolve a key to a path inside root; null if it would escape it
+  function resolveKey(key) {
+    if (!key) return null;
+    const resolvedPath = path.resolve(root, String(key).replace(/^[/\\]+/, ''));
+    if (!resolvedPath.startsWith(root + path.sep)) {
+      return null;
+    }
+    return resolvedPath;
+  }
+
+  function requirePath(key) {
+    const filePath = resolveKey(key);
+    if (!filePath) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  function sign(key, expires, filename, contentType) {
+    return crypto.createHmac('sha256', signingSecret)
+      .update(JSON.stringify([key, expires, filename || '', contentType || '']))
+      .digest('base64url');
+  }
+
+  return {
+    name: 'local',
+
+    // Copy a local file into storage
+    async put(key, sourcePath) {
+      const filePath = requirePath(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.copyFile(sourcePath, filePath);
+    },
+
+    // { size, lastModified } or null if there is no such file
+    async stat(key) {
+      const filePath = resolveKey(key);
+      if (!filePath) return null;
+      try {
+        const stats = await fs.promises.stat(filePath);
+        return stats.isFile() ? { size: stats.size, lastModified: stats.mtime } : null;
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    // Readable stream of the file, or of the inclusive byte range start-end
+    async getStream(key, { start, end } = {}) {
+      return fs.createReadStream(requirePath(key), { start, end });
+    },
+
+    async delete(key) {
+      const filePath = resolveKey(key);
+      if (!filePath) return;
+      try {
+        await fs.promises.unlink(filePath);
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    },
+
+    async getSignedUrl(key, { expiresIn, filename, contentType }) {
+      const expires = Math.floor(Date.now() / 1000) + expiresIn;
+      const params = new URLSearchParams({ expires: String(expires) });
+      if (filename) params.set('filename', filename);
+      if (contentType) params.set('type', contentType);
+      params.set('signature', sign(key, expires, filename, contentType));
+      return `/files/${key.split('/').map(encodeURIComponent).join('/')}?${params}`;
+    },
+
+    // Check a signed URL's query against the key it was requested for. Returns
+    // { filename, contentType } if it is valid and hasn't expired, otherwise null.
+    verifySignedUrl(key, query) {
+      const expires = parseInt(query.expires);
+      if (!expires || expires < Date.now() / 1000 || typeof query.signature !== 'string') {
+        return null;
+      }
+      const expected = Buffer.from(sign(key, expires, query.filename, query.type));
+      const actual = Buffer.from(query.signature);
+      if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return null;
+      }
+      return { filename: query.filename || null, contentType: query.type || null };
+    }
+  };
+}
+
+module.exports = { createLocalDriver };
@@ -0,0 +1,88 @@
+const fs = require('fs');
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+// Stores files in an S3 bucket or an S3-compatible service such as MinIO (set endpoint
+// and forcePathStyle). Keys are prefixed with `prefix` so a bucket can be shared.
+
+function createS3Driver({ bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle, prefix }) {
+  if (!bucket) {
+    throw new Error('S3_BUCKET must be set to use the s3 storage driver');
+  }
+
+  const client = new S3Client({
+    region: region,
+    endpoint: endpoint || undefined,
+    forcePathStyle: forcePathStyle,
+    // Only add checksums where S3 requires them; otherwise streamed uploads are sent with
+    // aws-chunked encoding, which not every S3-compatible service accepts
+    requestChecksumCalculation: 'WHEN_REQUIRED',
+    // Without explicit keys the SDK falls back to its usual sources (env, instance role, ...)
+    credentials: accessKeyId && secretAccessKey ? { accessKeyId, secretAccessKey } : undefined
+  });
+
+  const objectKey = key => `${prefix}${key}`;
+
+  function isNotFound(error) {
+    return error.name === 'NotFound' || error.name === 'NoSuchKey' ||
+      (error.$metadata && error.$metadata.httpStatusCode === 404);
+  }
+
+  return {
+    name: 's3',
+
+    async put(key, sourcePath, { contentType } = {}) {
+      const { size } = await fs.promises.stat(sourcePath);
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: objectKey(key),
+        Body: fs.createReadStream(sourcePath),
+        ContentLength: size,
+        ContentType: contentType || 'application/octet-stream'
+      }));
+    },
+
+    async stat(key) {
+      try {
+        const result = await client.send(new HeadObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+        return { size: result.ContentLength, lastModified: result.LastModified };
+      } catch (error) {
+        if (isNotFound(error)) return null;
+        throw error;
+      }
+    },
+
+    async getStream(key, { start, end } = {}) {
+      const result = await client.send(new GetObjectCommand({
+        Bucket: bucket,
+        Key: objectKey(key),
+        Range: start !== undefined ? `bytes=${start}-${end !== undefined ? end : ''}` : undefined
+      }));
+      return result.Body;
+    },
+
+    async delete(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+    },
+
+    async getSignedUrl(key, { expiresIn, filename, contentType }) {
+      const command = new GetObjectCommand({
+        Bucket: bucket,
+        Key: objectKey(key),
+        ResponseContentDisposition: filename
+          ? `attachment; filename*=UTF-8''${encodeURIComponent(filename)}`
+          : undefined,
+        ResponseContentType: contentType || undefined
+      });
+      return getSignedUrl(client, command, { expiresIn: expiresIn });
+    }
+  };
+}
+
+module.exports = { createS3Driver };
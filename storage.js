@@ -0,0 +1,213 @@
+const path = require('path');
+const os = require('os');
+const fs = require('fs');
+const { Readable } = require('stream');
+const { createLocalDriver } = require('./storage-drivers/local');
+const { createS3Driver } = require('./storage-drivers/s3');
+
+// Attachments, thumbnails and avatars are kept in a storage backend chosen by STORAGE_DRIVER:
+//   local - files under STORAGE_DIR (the default)
+//   s3    - an S3 bucket or S3-compatible service such as MinIO
+// Files are addressed by keys like "attachments/<file>", which is what note_attachments
+// stores in file_path / thumbnail_path. Uploads are written to a local temp directory
+// first so they can be checked and thumbnailed, then put into storage.
+//
+// Every driver implements:
+//   put(key, sourcePath, { contentType })   copy a local file into storage
+//   stat(key)                                { size, lastModified }, or null if missing
+//   getStream(key, { start, end })           readable stream, optionally of a byte range
+//   delete(key)                              no error if the file is already gone
+//   getSignedUrl(key, { expiresIn, filename, contentType })   temporary download URL
+
+const storageDir = path.resolve(process.env.STORAGE_DIR || path.join(__dirname, 'storage'));
+const uploadTempDir = path.resolve(process.env.UPLOAD_TEMP_DIR || path.join(os.tmpdir(), 'vibenotes-uploads'));
+const quarantineDir = path.join(storageDir, 'quarantine'); // Uploads rejected by the malware scanner
+
+const SIGNED_URL_EXPIRES_IN = 5 * 60; // seconds
+const redirectDownloads = process.env.STORAGE_REDIRECT_DOWNLOADS === 'true';
+
+function createDriver() {
+  const driverName = (process.env.STORAGE_DRIVER || 'local').toLowerCase();
+
+  if (driverName === 'local') {
+    return createLocalDriver({
+      root: storageDir,
+      signingSecret: process.env.STORAGE_SIGNING_SECRET || process.env.SESSION_SECRET || 'vibenotes-dev-secret-change-in-production'
+    });
+  }
+  if (driverName === 's3') {
+    return createS3Driver({
+      bucket: process.env.S3_BUCKET,
+      region: process.env.S3_REGION || 'us-east-1',
+      endpoint: process.env.S3_ENDPOINT,
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+      prefix: process.env.S3_PREFIX || ''
+    });
+  }
+
+  throw new Error(`Invalid STORAGE_DRIVER "${process.env.STORAGE_DRIVER}" (use local or s3)`);
+}
+
+const storage = createDriver();
+
+// Create the local working directories if they don't exist yet
+function ensureStorageDirs() {
+  [uploadTempDir, quarantineDir].forEach(dir => {
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+  });
+}
+
+// Path for a new temp file in the upload directory
+function tempFilePath(filename) {
+  ensureStorageDirs();
+  return path.join(uploadTempDir, `${Date.now()}-${Math.round(Math.random() * 1E9)}-${filename}`);
+}
+
+// Remove a temp file, if it is still there
+function removeTempFile(filePath) {
+  if (!filePath) return;
+  try {
+    if (fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+    }
+  } catch (err) {
+    console.error('Error removing temp file:', err);
+  }
+}
+
+// Put a local file into storage under key, then remove the local copy
+async function storeFile(key, sourcePath, contentType) {
+  await storage.put(key, sourcePath, { contentType });
+  removeTempFile(sourcePath);
+}
+
+// Delete a stored file. Failures are logged rather than thrown, as callers delete files
+// after the rows pointing at them are already gone.
+async function deleteStoredFile(key) {
+  if (!key) return;
+  try {
+    await storage.delete(key);
+  } catch (err) {
+    console.error('Error deleting stored file:', err);
+  }
+}
+
+// A stream that only opens the stored file once it is first read. Archives queue many
+// of these and read them one after another.
+function lazyReadStream(key) {
+  return Readable.from((async function* () {
+    yield* await storage.getStream(key);
+  })());
+}
+
+// Stream a stored file as the response, with Range / If-Range support (206 and 416).
+// options: filename (sent as a download when set), contentType, cacheControl.
+async function sendStoredFile(req, res, key, options) {
+  const info = key ? await storage.stat(key) : null;
+  if (!info) {
+    return res.status(404).json({ error: options.notFoundError || 'File not found' });
+  }
+
+  if (options.filename) {
+    // res.attachment() sets Content-Disposition from the original filename;
+    // the stored MIME type then takes precedence over the extension-based guess
+    res.attachment(options.filename);
+  }
+  res.type(options.contentType || 'application/octet-stream');
+  res.set({
+    'Accept-Ranges': 'bytes',
+    'Cache-Control': options.cacheControl,
+    'X-Content-Type-Options': 'nosniff'
+  });
+  const etag = `"${info.size.toString(16)}-${new Date(info.lastModified).getTime().toString(16)}"`;
+  res.set('ETag', etag);
+  res.set('Last-Modified', new Date(info.lastModified).toUTCString());
+
+  let start = 0;
+  let end = info.size - 1;
+  const ifRange = req.get('If-Range');
+  const rangeApplies = req.get('Range') && (!ifRange || ifRange === etag);
+  if (rangeApplies) {
+    const ranges = req.range(info.size, { combine: true });
+    if (ranges === -1) {
+      res.set('Content-Range', `bytes */${info.size}`);
+      return res.status(416).end();
+    }
+    // Only single ranges are served partially; anything else gets the whole file
+    if (Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1) {
+      start = ranges[0].start;
+      end = ranges[0].end;
+      res.status(206);
+      res.set('Content-Range', `bytes ${start}-${end}/${info.size}`);
+    }
+  }
+
+  res.set('Content-Length', String(end - start + 1));
+  if (req.method === 'HEAD' || info.size === 0) {
+    return res.end();
+  }
+
+  const stream = await storage.getStream(key, { start, end });
+  stream.on('error', (err) => {
+    console.error('Error streaming stored file:', err);
+    res.destroy(err);
+  });
+  stream.pipe(res);
+}
+
+// Avatars are public and addressed by URL: users.avatar_path is "/avatars/<file>", stored
+// under the key "avatars/<file>". Returns null for anything else.
+function avatarKey(avatarPath) {
+  if (!avatarPath || !avatarPath.startsWith('/avatars/')) return null;
+  return `avatars/${path.basename(avatarPath)}`;
+}
+
+// Send an attachment row's file as a download. With STORAGE_REDIRECT_DOWNLOADS the client
+// is redirected to a short-lived signed URL instead of the app streaming the file.
+async function sendAttachment(req, res, attachment) {
+  if (redirectDownloads && await storage.stat(attachment.file_path)) {
+    const url = await storage.getSignedUrl(attachment.file_path, {
+      expiresIn: SIGNED_URL_EXPIRES_IN,
+      filename: attachment.original_filename,
+      contentType: attachment.mime_type || 'application/octet-stream'
+    });
+    return res.redirect(url);
+  }
+
+  return sendStoredFile(req, res, attachment.file_path, {
+    filename: attachment.original_filename,
+    contentType: attachment.mime_type,
+    cacheControl: 'private, no-cache',
+    notFoundError: 'Attachment file not found'
+  });
+}
+
+// Send an attachment row's thumbnail inline. Thumbnails never change once created.
+function sendThumbnail(req, res, attachment) {
+  return sendStoredFile(req, res, attachment.thumbnail_path, {
+    contentType: 'image/webp',
+    cacheControl: 'private, max-age=86400',
+    notFoundError: 'Thumbnail not found'
+  });
+}
+
+module.exports = {
+  storage,
+  storageDir,
+  uploadTempDir,
+  quarantineDir,
+  ensureStorageDirs,
+  tempFilePath,
+  removeTempFile,
+  storeFile,
+  deleteStoredFile,
+  lazyReadStream,
+  sendStoredFile,
+  avatarKey,
+  sendAttachment,
+  sendThumbnail
+};
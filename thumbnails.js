@@ -0,0 +1,78 @@
+const path = require('path');
+const sharp = require('sharp');
+const { tempFilePath, removeTempFile, storeFile } = require('./storage');
+
+// Image and PDF attachments get a small WebP preview, stored under thumbnails/ in storage
+// and recorded in note_attachments.thumbnail_path. PDFs are previewed by their first
+// page. Avatars are processed the same way (see routes/profile.js). Thumbnails are made
+// from the local upload before it is put into storage.
+
+const THUMBNAIL_SIZE = 320; // Longest side, in pixels
+const AVATAR_THUMBNAIL_SIZE = 128;
+const THUMBNAIL_MIME_TYPES = [
+  'image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp',
+  'application/pdf'
+];
+
+function canCreateThumbnail(mimeType) {
+  return THUMBNAIL_MIME_TYPES.includes(mimeType);
+}
+
+// Render the first page of a PDF as a PNG buffer (pdf-to-img is an ES module)
+async function renderPdfFirstPage(sourcePath) {
+  const { pdf } = await import('pdf-to-img');
+  const document = await pdf(sourcePath, { scale: 2 });
+  return document.getPage(1);
+}
+
+// Write a WebP thumbnail of an image (file path or buffer). Throws if it can't be read.
+async function writeThumbnail(input, destPath, size) {
+  await sharp(input)
+    .rotate() // Apply the EXIF orientation before it is stripped
+    .resize(size, size, { fit: 'inside', withoutEnlargement: true })
+    .webp({ quality: 80 })
+    .toFile(destPath);
+}
+
+// Make a thumbnail of a local file and put it into storage under key
+async function storeThumbnail(input, key, size) {
+  const thumbnailPath = tempFilePath(path.basename(key));
+  try {
+    await writeThumbnail(input, thumbnailPath, size);
+    await storeFile(key, thumbnailPath, 'image/webp');
+  } finally {
+    removeTempFile(thumbnailPath);
+  }
+}
+
+// Create the thumbnail for an uploaded attachment (sourcePath is the local upload,
+// storedFilename its name in storage). Returns the thumbnail's storage key, or null if
+// the file has none.
+async function createAttachmentThumbnail(sourcePath, mimeType, storedFilename) {
+  if (!canCreateThumbnail(mimeType)) return null;
+
+  const key = `thumbnails/${path.basename(storedFilename, path.extname(storedFilename))}.webp`;
+
+  try {
+    const input = mimeType === 'application/pdf' ? await renderPdfFirstPage(sourcePath) : sourcePath;
+    await storeThumbnail(input, key, THUMBNAIL_SIZE);
+    return key;
+  } catch (error) {
+    // A file we can't render still uploads; it just has no preview
+    console.error('Error creating attachment thumbnail:', error);
+    return null;
+  }
+}
+
+// Create the thumbnail for an uploaded avatar (avatars/avatar-…-thumb.webp). Returns
+// its storage key; throws if the upload isn't a readable image.
+async function createAvatarThumbnail(sourcePath, storedFilename) {
+  const key = `avatars/${path.basename(storedFilename, path.extname(storedFilename))}-thumb.webp`;
+  await storeThumbnail(sourcePath, key, AVATAR_THUMBNAIL_SIZE);
+  return key;
+}
+
+module.exports = {
+  createAttachmentThumbnail,
+  createAvatarThumbnail
+};
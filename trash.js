@@ -0,0 +1,67 @@
+const { pool } = require('./db');
+const { deleteStoredFile } = require('./storage');
+
+// Deleted notes go to the trash (notes.deleted_at) and are hidden everywhere except the
+// trash endpoints. They are removed for good, with their attachment files, once they have
+// been in the trash for TRASH_RETENTION_DAYS.
+
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+const PURGE_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
+
+// Permanently delete notes (attachments, revisions, shares and tags go with them by
+// cascade), then remove their files and thumbnails. Returns the number of notes deleted.
+async function deleteNotesPermanently(noteIds) {
+  if (noteIds.length === 0) return 0;
+
+  const attachmentsResult = await pool.query(
+    'SELECT file_path, thumbnail_path FROM note_attachments WHERE note_id = ANY($1::int[])',
+    [noteIds]
+  );
+
+  const result = await pool.query(
+    'DELETE FROM notes WHERE id = ANY($1::int[])',
+    [noteIds]
+  );
+
+  // Remove files only once the rows are gone
+  for (const attachment of attachmentsResult.rows) {
+    await deleteStoredFile(attachment.file_path);
+    await deleteStoredFile(attachment.thumbnail_path);
+  }
+
+  return result.rowCount;
+}
+
+// Delete every note that has been in the trash longer than the retention period
+async function purgeExpiredTrash() {
+  const result = await pool.query(
+    `SELECT id FROM notes
+     WHERE deleted_at IS NOT NULL AND deleted_at < CURRENT_TIMESTAMP - make_interval(days => $1)`,
+    [TRASH_RETENTION_DAYS]
+  );
+  return deleteNotesPermanently(result.rows.map(row => row.id));
+}
+
+// Run the purge now and then every hour
+function startTrashPurge() {
+  const purge = async () => {
+    try {
+      const purged = await purgeExpiredTrash();
+      if (purged > 0) {
+        console.log(`Purged ${purged} note(s) from the trash`);
+      }
+    } catch (error) {
+      console.error('Error purging trash:', error);
+    }
+  };
+
+  purge();
+  setInterval(purge, PURGE_INTERVAL_MS);
+}
+
+module.exports = {
+  TRASH_RETENTION_DAYS,
+  deleteNotesPermanently,
+  purgeExpiredTrash,
+  startTrashPurge
+};